@@ -0,0 +1,87 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+jest.mock('../gmail-watch', () => ({
+    setupGmailWatch: jest.fn(),
+    stopGmailWatch: jest.fn()
+}));
+
+const express = require('express');
+const admin = require('../admin');
+const { requestContextMiddleware } = require('../audit');
+const { listAuditEvents } = require('../database');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use(requestContextMiddleware);
+    app.use('/admin', admin);
+
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+    return new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Call an admin route with the given API key
+ */
+async function request(method, path, { apiKey = 'test-admin-key', body } = {}) {
+    const response = await fetch(`${baseUrl}/admin${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Get the audit events recorded for an action, oldest first
+ */
+async function getAuditEvents(action) {
+    const { events } = await listAuditEvents({ action });
+    return events.reverse();
+}
+
+describe('API key audit events', () => {
+    test('creating, rotating and revoking a key are recorded with the acting key', async () => {
+        const created = await request('POST', '/api-keys', { body: { name: 'n8n', scopes: ['admin'] } });
+        expect(created.status).toBe(201);
+        const keyId = created.body.key.keyId;
+
+        // The new key acts from here on, so it is recorded as the actor
+        const rotated = await request('POST', `/api-keys/${keyId}/rotate`, { apiKey: created.body.apiKey });
+        expect(rotated.status).toBe(201);
+        const rotatedKeyId = rotated.body.key.keyId;
+
+        const revoked = await request('DELETE', `/api-keys/${rotatedKeyId}`);
+        expect(revoked.status).toBe(200);
+        await request('DELETE', `/api-keys/${rotatedKeyId}`);
+
+        expect(await getAuditEvents('api_key.created')).toEqual([expect.objectContaining({
+            actor: 'api-key:bootstrap',
+            clientId: null,
+            outcome: 'success',
+            details: { keyId, name: 'n8n', scopes: ['admin'] }
+        })]);
+        expect(await getAuditEvents('api_key.rotated')).toEqual([expect.objectContaining({
+            actor: `api-key:${keyId}`,
+            details: { keyId, rotatedTo: rotatedKeyId, name: 'n8n' }
+        })]);
+        expect(await getAuditEvents('api_key.revoked')).toEqual([expect.objectContaining({
+            actor: 'api-key:bootstrap',
+            details: { keyId: rotatedKeyId, name: 'n8n' }
+        })]);
+    });
+});
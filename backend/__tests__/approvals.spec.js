@@ -0,0 +1,140 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.SIGNING_SECRET = 'test-signing-secret';
+process.env.APPROVAL_EMAIL_ENABLED = 'false';
+
+jest.mock('../gmail-drafts', () => ({
+    createDraft: jest.fn(async () => ({ draftId: 'draft-1', threadId: 'thread-1' })),
+    updateDraft: jest.fn(async () => ({})),
+    deleteDraft: jest.fn(async () => true),
+    sendDraft: jest.fn(async () => ({ id: 'sent-1' }))
+}));
+jest.mock('../webhook', () => ({
+    sendApprovalWebhook: jest.fn(async () => true)
+}));
+jest.mock('../gmail-watch', () => ({
+    getGmailForClient: jest.fn()
+}));
+
+const express = require('express');
+const approvals = require('../approvals');
+const { updateDraft, sendDraft } = require('../gmail-drafts');
+const { getPendingReply, listAuditEvents } = require('../database');
+const { createSignedToken } = require('../signed-links');
+
+const client = { clientId: 'client-1', gmailAddress: 'user@example.com' };
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/approvals', approvals);
+
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Ask for approval of a reply and return its approval ID and link token
+ */
+async function requestApproval() {
+    const { approvalId, approvalUrl } = await approvals.requestReplyApproval(client, {
+        to: 'sender@example.com',
+        subject: 'Re: Quote',
+        text: 'Original body',
+        threadId: 'thread-1'
+    });
+
+    return { approvalId, token: new URL(approvalUrl).searchParams.get('token') };
+}
+
+/**
+ * Post a decision to the approval route
+ */
+async function decide(token, body) {
+    const response = await fetch(`${baseUrl}/approvals/${encodeURIComponent(token)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+describe('POST /approvals/:token', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    test('edit with only a new body updates the draft and sends it', async () => {
+        const { approvalId, token } = await requestApproval();
+
+        const response = await decide(token, { decision: 'edit', text: 'Edited body' });
+
+        expect(response).toEqual({
+            status: 200,
+            body: { success: true, status: 'edited', sentMessageId: 'sent-1' }
+        });
+        expect(updateDraft).toHaveBeenCalledWith('client-1', 'draft-1', expect.objectContaining({
+            subject: 'Re: Quote',
+            text: 'Edited body',
+            threadId: 'thread-1'
+        }));
+        expect(sendDraft).toHaveBeenCalledWith('client-1', 'draft-1');
+
+        const stored = await getPendingReply(approvalId);
+        expect(stored.status).toBe('edited');
+        expect(stored.edited).toEqual({ text: 'Edited body' });
+        expect(stored.sentMessageId).toBe('sent-1');
+
+        const { events } = await listAuditEvents({ action: 'reply.edited' });
+        expect(events.find(event => event.details.approvalId === approvalId)).toMatchObject({
+            clientId: 'client-1',
+            outcome: 'success',
+            details: { draftId: 'draft-1', sentMessageId: 'sent-1' }
+        });
+    });
+
+    test('edit with every field stores them all', async () => {
+        const { approvalId, token } = await requestApproval();
+
+        const edits = { subject: 'Re: Quote (updated)', text: 'Edited body', html: '<p>Edited body</p>' };
+        const response = await decide(token, { decision: 'edit', ...edits });
+
+        expect(response.status).toBe(200);
+        expect((await getPendingReply(approvalId)).edited).toEqual(edits);
+    });
+
+    test('approve sends the draft unchanged', async () => {
+        const { approvalId, token } = await requestApproval();
+
+        const response = await decide(token, { decision: 'approve' });
+
+        expect(response.body.status).toBe('approved');
+        expect(updateDraft).not.toHaveBeenCalled();
+        expect((await getPendingReply(approvalId)).edited).toBeUndefined();
+    });
+
+    test('a second decision on the same reply is rejected', async () => {
+        const { token } = await requestApproval();
+
+        await decide(token, { decision: 'approve' });
+        const response = await decide(token, { decision: 'discard' });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('a signed token issued for another purpose is rejected', async () => {
+        const { approvalId } = await requestApproval();
+        const token = createSignedToken({ purpose: 'attachment', approvalId }, 60);
+
+        const response = await decide(token, { decision: 'approve' });
+
+        expect(response.status).toBe(404);
+        expect(sendDraft).not.toHaveBeenCalled();
+        expect((await getPendingReply(approvalId)).status).toBe('pending');
+    });
+});
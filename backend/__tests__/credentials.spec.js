@@ -0,0 +1,93 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+jest.mock('../token-manager', () => ({
+    getAuthorizedClient: jest.fn(async client => ({
+        credentials: { access_token: client.tokens.access_token, expiry_date: client.tokens.expiry_date }
+    }))
+}));
+
+const express = require('express');
+const credentials = require('../credentials');
+const { getAuthorizedClient } = require('../token-manager');
+const { saveClient, updateClientStatus, tombstoneClient } = require('../database');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = express();
+    app.use('/credentials', credentials);
+
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+    return new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Save a client with tokens
+ */
+async function createClient(clientId) {
+    await saveClient({
+        clientId,
+        gmailAddress: `${clientId}@example.com`,
+        registeredAt: new Date(),
+        tokens: { access_token: `access-${clientId}`, refresh_token: 'refresh', expiry_date: Date.now() + 60 * 60 * 1000 }
+    });
+}
+
+/**
+ * Ask for a client's access token
+ */
+async function getAccessToken(clientId) {
+    const response = await fetch(`${baseUrl}/credentials/${clientId}/access-token`, {
+        headers: { Authorization: 'Bearer test-admin-key' }
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+describe('GET /credentials/:clientId/access-token', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    test('a disconnected client is not found', async () => {
+        await createClient('disconnected');
+        await tombstoneClient('disconnected', { reason: 'test' });
+
+        const response = await getAccessToken('disconnected');
+
+        expect(response).toEqual({ status: 404, body: { success: false, error: 'Client not found' } });
+        expect(getAuthorizedClient).not.toHaveBeenCalled();
+    });
+
+    test('a client without tokens gets 409', async () => {
+        // A tombstoned client moved back out of disconnected keeps no tokens until it reconnects
+        await createClient('no-tokens');
+        await tombstoneClient('no-tokens', { reason: 'test' });
+        await updateClientStatus('no-tokens', 'pending_watch', { reason: 'test' });
+
+        const response = await getAccessToken('no-tokens');
+
+        expect(response).toEqual({ status: 409, body: { success: false, error: 'Client has no tokens' } });
+        expect(getAuthorizedClient).not.toHaveBeenCalled();
+    });
+
+    test('a paused client still gets a token', async () => {
+        await createClient('paused');
+        await updateClientStatus('paused', 'paused', { reason: 'test' });
+
+        const response = await getAccessToken('paused');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, clientId: 'paused', accessToken: 'access-paused' });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Gmail API message resources (format: 'full') for message normalizer specs
+ */
+
+/**
+ * Encode a body the way the Gmail API returns it
+ */
+function body(content, encoding = 'utf8') {
+    const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content, encoding);
+    return { size: bytes.length, data: bytes.toString('base64url') };
+}
+
+// Headers made of RFC 2047 encoded words in several charsets and both encodings
+const encodedHeaders = {
+    id: 'msg-encoded-headers',
+    threadId: 'thread-encoded-headers',
+    historyId: '1001',
+    labelIds: ['INBOX', 'UNREAD'],
+    snippet: 'Bonjour',
+    internalDate: '1704103200000',
+    payload: {
+        partId: '',
+        mimeType: 'text/plain',
+        filename: '',
+        headers: [
+            { name: 'From', value: '=?ISO-8859-1?Q?Andr=E9_Dupont?= <Andre.Dupont@Example.COM>' },
+            { name: 'To', value: '"Doe, Jane" <jane@example.com>, =?UTF-8?B?5bGx55Sw5aSq6YOO?= <taro@example.jp>' },
+            { name: 'Cc', value: 'plain@example.com' },
+            // Two encoded words separated by folding whitespace decode without the space
+            { name: 'Subject', value: '=?UTF-8?B?UsOpdW5pb24g?=\r\n =?UTF-8?Q?=E2=98=95_demain?=' },
+            { name: 'Date', value: 'Mon, 01 Jan 2024 10:00:00 +0000' },
+            { name: 'Message-ID', value: '<abc@example.com>' },
+            { name: 'Content-Type', value: 'text/plain; charset="UTF-8"' }
+        ],
+        body: body('Bonjour')
+    }
+};
+
+// Bodies in legacy charsets, plus one with a charset TextDecoder doesn't know
+const legacyCharsets = {
+    id: 'msg-legacy-charsets',
+    threadId: 'thread-legacy-charsets',
+    internalDate: '1704103200000',
+    payload: {
+        partId: '',
+        mimeType: 'multipart/mixed',
+        filename: '',
+        headers: [
+            { name: 'Subject', value: 'Charsets' },
+            { name: 'Content-Type', value: 'multipart/mixed; boundary="outer"' }
+        ],
+        body: { size: 0 },
+        parts: [
+            {
+                partId: '0',
+                mimeType: 'text/plain',
+                filename: '',
+                headers: [{ name: 'Content-Type', value: 'text/plain; charset=ISO-8859-1' }],
+                // "Café crème"
+                body: body(Buffer.from([0x43, 0x61, 0x66, 0xe9, 0x20, 0x63, 0x72, 0xe8, 0x6d, 0x65]))
+            },
+            {
+                partId: '1',
+                mimeType: 'text/plain',
+                filename: '',
+                headers: [{ name: 'Content-Type', value: 'text/plain; charset="windows-1252"' }],
+                // "Total: 5 € – “net”" with the euro sign, dash and quotes at 0x80-0x9F
+                body: body(Buffer.from([0x54, 0x6f, 0x74, 0x61, 0x6c, 0x3a, 0x20, 0x35, 0x20, 0x80,
+                    0x20, 0x96, 0x20, 0x93, 0x6e, 0x65, 0x74, 0x94]))
+            },
+            {
+                partId: '2',
+                mimeType: 'text/plain',
+                filename: '',
+                headers: [{ name: 'Content-Type', value: 'text/plain; charset=x-unknown-charset' }],
+                body: body('Ünïcode fallback')
+            }
+        ]
+    }
+};
+
+// A Gmail reply with the attribution line wrapped over two lines and a quoted original
+const gmailReply = {
+    id: 'msg-gmail-reply',
+    threadId: 'thread-reply',
+    internalDate: '1704103200000',
+    payload: {
+        partId: '',
+        mimeType: 'text/plain',
+        filename: '',
+        headers: [
+            { name: 'Subject', value: 'Re: Quote' },
+            { name: 'In-Reply-To', value: '<original@example.com>' },
+            { name: 'References', value: '<original@example.com>' }
+        ],
+        body: body([
+            'Thanks, that works for us.',
+            '',
+            'Jane',
+            '',
+            'On Mon, 1 Jan 2024 at 10:00, Sales Team <sales@example.com>',
+            'wrote:',
+            '> Here is the quote you asked for.',
+            '>',
+            '> Regards'
+        ].join('\r\n'))
+    }
+};
+
+// An Outlook reply with its header block, sent as HTML only
+const outlookReply = {
+    id: 'msg-outlook-reply',
+    threadId: 'thread-reply',
+    internalDate: '1704103200000',
+    payload: {
+        partId: '',
+        mimeType: 'text/html',
+        filename: '',
+        headers: [
+            { name: 'Subject', value: 'RE: Quote' },
+            { name: 'Content-Type', value: 'text/html; charset=utf-8' }
+        ],
+        body: body([
+            '<html><head><style>p { margin: 0 }</style></head><body>',
+            '<p>Sounds good &amp; see you Monday.</p>',
+            '<div>________________________________</div>',
+            '<p>From: Sales Team &lt;sales@example.com&gt;<br>Sent: Monday, January 1, 2024</p>',
+            '<p>Here is the quote you asked for.</p>',
+            '</body></html>'
+        ].join(''))
+    }
+};
+
+// Text and HTML bodies with an inline image, a stored attachment and one without a filename
+const withAttachments = {
+    id: 'msg-attachments',
+    threadId: 'thread-attachments',
+    internalDate: '1704103200000',
+    payload: {
+        partId: '',
+        mimeType: 'multipart/mixed',
+        filename: '',
+        headers: [{ name: 'Subject', value: 'Invoice' }],
+        body: { size: 0 },
+        parts: [
+            {
+                partId: '0',
+                mimeType: 'multipart/related',
+                filename: '',
+                headers: [],
+                body: { size: 0 },
+                parts: [
+                    {
+                        partId: '0.0',
+                        mimeType: 'multipart/alternative',
+                        filename: '',
+                        headers: [],
+                        body: { size: 0 },
+                        parts: [
+                            {
+                                partId: '0.0.0',
+                                mimeType: 'text/plain',
+                                filename: '',
+                                headers: [{ name: 'Content-Type', value: 'text/plain; charset=UTF-8' }],
+                                body: body('Invoice attached.')
+                            },
+                            {
+                                partId: '0.0.1',
+                                mimeType: 'text/html',
+                                filename: '',
+                                headers: [{ name: 'Content-Type', value: 'text/html; charset=UTF-8' }],
+                                body: body('<p>Invoice attached.</p><img src="cid:logo@example.com">')
+                            }
+                        ]
+                    },
+                    {
+                        partId: '0.1',
+                        mimeType: 'image/png',
+                        filename: 'logo.png',
+                        headers: [
+                            { name: 'Content-Disposition', value: 'inline; filename="logo.png"' },
+                            { name: 'Content-ID', value: '<logo@example.com>' }
+                        ],
+                        body: { attachmentId: 'att-logo', size: 2048 }
+                    }
+                ]
+            },
+            {
+                partId: '1',
+                mimeType: 'application/pdf',
+                filename: '=?UTF-8?Q?Facture_n=C2=B042.pdf?=',
+                headers: [
+                    { name: 'Content-Disposition', value: 'attachment; filename="=?UTF-8?Q?Facture_n=C2=B042.pdf?="' }
+                ],
+                body: { attachmentId: 'att-invoice', size: 48213 }
+            },
+            {
+                partId: '2',
+                mimeType: 'text/calendar',
+                filename: '',
+                headers: [{ name: 'Content-Disposition', value: 'attachment' }],
+                body: body('BEGIN:VCALENDAR\r\nEND:VCALENDAR')
+            }
+        ]
+    }
+};
+
+module.exports = {
+    encodedHeaders,
+    legacyCharsets,
+    gmailReply,
+    outlookReply,
+    withAttachments
+};
@@ -0,0 +1,103 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const mockGmail = {
+    users: {
+        messages: {
+            batchModify: jest.fn(async () => ({ data: {} })),
+            trash: jest.fn(async () => ({ data: {} }))
+        },
+        threads: {
+            modify: jest.fn(async () => ({ data: {} })),
+            trash: jest.fn(async () => ({ data: {} }))
+        }
+    }
+};
+
+jest.mock('../gmail-watch', () => ({
+    getGmailForClient: jest.fn(async () => ({ gmail: mockGmail }))
+}));
+
+const express = require('express');
+const gmailLabels = require('../gmail-labels');
+const { getGmailForClient } = require('../gmail-watch');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/gmail', gmailLabels);
+
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+    return new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Post a request to a label route
+ */
+async function post(path, body) {
+    const response = await fetch(`${baseUrl}/gmail${path}`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer test-admin-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+describe('label routes', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    test.each([
+        ['a string of message IDs', { messageIds: 'abc' }, 'messageIds must be an array of non-empty strings'],
+        ['a number of thread IDs', { threadIds: 42 }, 'threadIds must be an array of non-empty strings'],
+        ['an object of message IDs', { messageIds: { id: 'abc' } }, 'messageIds must be an array of non-empty strings'],
+        ['an empty message ID in the list', { messageIds: ['abc', ''] }, 'messageIds must be an array of non-empty strings'],
+        ['a non-string message ID', { messageId: 7 }, 'messageId must be a non-empty string'],
+        ['no targets', {}, 'At least one message or thread ID is required']
+    ])('rejects %s', async (_, targets, error) => {
+        for (const path of ['/messages/archive', '/messages/trash']) {
+            const response = await post(path, { clientId: 'client-1', ...targets });
+            expect(response).toEqual({ status: 400, body: { error } });
+        }
+        expect(getGmailForClient).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['a string of labels to add', { addLabelIds: 'STARRED' }, 'addLabelIds must be an array of label IDs'],
+        ['a non-string label to remove', { removeLabelIds: [1] }, 'removeLabelIds must be an array of label IDs'],
+        ['no label changes', {}, 'addLabelIds or removeLabelIds is required']
+    ])('modify rejects %s', async (_, labels, error) => {
+        const response = await post('/messages/modify', { clientId: 'client-1', messageIds: ['msg-1'], ...labels });
+
+        expect(response).toEqual({ status: 400, body: { error } });
+        expect(getGmailForClient).not.toHaveBeenCalled();
+    });
+
+    test('modify applies the changes to single and listed IDs', async () => {
+        const response = await post('/messages/modify', {
+            clientId: 'client-1',
+            messageId: 'msg-1',
+            messageIds: ['msg-2'],
+            threadIds: ['thread-1'],
+            addLabelIds: ['STARRED']
+        });
+
+        expect(response).toEqual({ status: 200, body: { success: true, modifiedMessages: 2, modifiedThreads: 1 } });
+        expect(mockGmail.users.messages.batchModify).toHaveBeenCalledWith({
+            userId: 'me',
+            requestBody: { ids: ['msg-2', 'msg-1'], addLabelIds: ['STARRED'], removeLabelIds: [] }
+        });
+    });
+});
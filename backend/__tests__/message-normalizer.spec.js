@@ -0,0 +1,139 @@
+const { normalizeMessage, parseAddressList, extractLatestText } = require('../message-normalizer');
+const fixtures = require('./fixtures/gmail-messages');
+
+describe('normalizeMessage', () => {
+    describe('RFC 2047 headers', () => {
+        const message = normalizeMessage(fixtures.encodedHeaders);
+
+        test('decodes B and Q encoded words, joining adjacent ones', () => {
+            expect(message.subject).toBe('Réunion ☕ demain');
+        });
+
+        test('decodes encoded display names in their own charset', () => {
+            expect(message.from).toEqual({ name: 'André Dupont', email: 'andre.dupont@example.com' });
+            expect(message.to).toEqual([
+                { name: 'Doe, Jane', email: 'jane@example.com' },
+                { name: '山田太郎', email: 'taro@example.jp' }
+            ]);
+            expect(message.cc).toEqual([{ name: null, email: 'plain@example.com' }]);
+        });
+
+        test('keeps the envelope fields', () => {
+            expect(message).toMatchObject({
+                id: 'msg-encoded-headers',
+                threadId: 'thread-encoded-headers',
+                historyId: '1001',
+                labelIds: ['INBOX', 'UNREAD'],
+                messageId: '<abc@example.com>',
+                date: '2024-01-01T10:00:00.000Z',
+                receivedAt: '2024-01-01T10:00:00.000Z',
+                text: 'Bonjour',
+                html: null,
+                attachments: []
+            });
+        });
+    });
+
+    describe('charsets', () => {
+        test('decodes encoded words in windows-1252, including its 0x80-0x9F range', () => {
+            const message = normalizeMessage({
+                ...fixtures.encodedHeaders,
+                payload: {
+                    ...fixtures.encodedHeaders.payload,
+                    headers: [{ name: 'Subject', value: '=?windows-1252?Q?=93Quote=94_=80120?=' }]
+                }
+            });
+
+            expect(message.subject).toBe('“Quote” €120');
+        });
+
+        test('decodes each body part with its declared charset', () => {
+            const message = normalizeMessage(fixtures.legacyCharsets);
+
+            expect(message.text.split('\n')).toEqual([
+                'Café crème',
+                'Total: 5 € – “net”',
+                'Ünïcode fallback'
+            ]);
+        });
+    });
+
+    describe('quoted replies', () => {
+        test('strips a Gmail attribution line wrapped over two lines and the quote under it', () => {
+            const message = normalizeMessage(fixtures.gmailReply);
+
+            expect(message.latestText).toBe('Thanks, that works for us.\n\nJane');
+            expect(message.text).toContain('> Here is the quote you asked for.');
+            expect(message).toMatchObject({
+                inReplyTo: '<original@example.com>',
+                references: '<original@example.com>'
+            });
+        });
+
+        test('strips an Outlook header block from an HTML-only reply', () => {
+            const message = normalizeMessage(fixtures.outlookReply);
+
+            expect(message.html).toContain('<p>Sounds good &amp; see you Monday.</p>');
+            expect(message.text).not.toContain('margin');
+            expect(message.latestText).toBe('Sounds good & see you Monday.');
+        });
+
+        test('keeps a marker that comes before any text of the reply', () => {
+            expect(extractLatestText('From: a forwarded note\nKeep this')).toBe('From: a forwarded note\nKeep this');
+        });
+    });
+
+    describe('attachment manifest', () => {
+        const message = normalizeMessage(fixtures.withAttachments);
+
+        test('uses the text and HTML bodies nested in related and alternative parts', () => {
+            expect(message.text).toBe('Invoice attached.');
+            expect(message.html).toBe('<p>Invoice attached.</p><img src="cid:logo@example.com">');
+        });
+
+        test('lists inline images, attachments and unnamed attachment parts', () => {
+            expect(message.attachments).toEqual([
+                {
+                    attachmentId: 'att-logo',
+                    partId: '0.1',
+                    filename: 'logo.png',
+                    mimeType: 'image/png',
+                    size: 2048,
+                    contentId: 'logo@example.com',
+                    inline: true
+                },
+                {
+                    attachmentId: 'att-invoice',
+                    partId: '1',
+                    filename: 'Facture n°42.pdf',
+                    mimeType: 'application/pdf',
+                    size: 48213,
+                    contentId: null,
+                    inline: false
+                },
+                {
+                    attachmentId: null,
+                    partId: '2',
+                    filename: 'attachment',
+                    mimeType: 'text/calendar',
+                    size: 30,
+                    contentId: null,
+                    inline: false
+                }
+            ]);
+        });
+    });
+});
+
+describe('parseAddressList', () => {
+    test('returns an empty list for a missing header', () => {
+        expect(parseAddressList(null)).toEqual([]);
+    });
+
+    test('splits on commas outside quotes and angle brackets', () => {
+        expect(parseAddressList('"Smith, Bob" <Bob@Example.com>, <odd,local@example.com>')).toEqual([
+            { name: 'Smith, Bob', email: 'bob@example.com' },
+            { name: null, email: 'odd,local@example.com' }
+        ]);
+    });
+});
@@ -0,0 +1,52 @@
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.N8N_WEBHOOK_URL;
+delete process.env.N8N_MESSAGE_WEBHOOK_URL;
+
+jest.mock('../gmail-watch', () => ({
+    getMessageHistory: jest.fn(),
+    listRecentMessageIds: jest.fn(),
+    getCurrentHistoryId: jest.fn(),
+    getMessage: jest.fn(),
+    getWatchFilter: jest.fn(() => ({})),
+    matchesWatchFilter: jest.fn(() => true)
+}));
+
+const { processGmailNotification } = require('../notification-processor');
+const { saveClient, getClientById, claimMessage } = require('../database');
+const { getMessageHistory, getMessage } = require('../gmail-watch');
+const fixtures = require('./fixtures/gmail-messages');
+
+const client = { clientId: 'client-1', gmailAddress: 'user@example.com' };
+const message = fixtures.encodedHeaders;
+
+describe('processGmailNotification', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await saveClient({
+            ...client,
+            registeredAt: new Date(),
+            tokens: { access_token: 'access', refresh_token: 'refresh', expiry_date: Date.now() + 60 * 60 * 1000 },
+            watchData: { historyId: '100', expiration: new Date(Date.now() + 60 * 60 * 1000), topicName: 'topic' }
+        });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a message that can\'t be delivered because no webhook is configured keeps its claim open and the checkpoint', async () => {
+        getMessageHistory.mockResolvedValue({
+            history: [{ messagesAdded: [{ message: { id: message.id, labelIds: ['INBOX'] } }] }],
+            historyId: '200'
+        });
+        getMessage.mockResolvedValue({ message });
+
+        await expect(processGmailNotification({ emailAddress: client.gmailAddress, historyId: '200' }))
+            .rejects.toThrow(`Failed to deliver message ${message.id}: Webhook URL not configured`);
+
+        expect((await getClientById(client.clientId)).watchData.historyId).toBe('100');
+        expect(await claimMessage(client.clientId, message.id)).toBe(true);
+    });
+});
@@ -0,0 +1,383 @@
+const express = require('express');
+const {
+    saveApiKey,
+    getApiKey,
+    listApiKeys,
+    updateApiKey,
+    getClientById,
+    getStats,
+    listAuditEvents
+} = require('./database');
+const { requireScope, generateApiKey, API_KEY_SCOPES } = require('./api-auth');
+const { disconnectClient } = require('./offboarding');
+const { setupGmailWatch, stopGmailWatch } = require('./gmail-watch');
+const { transitionClient } = require('./client-status');
+const { recordAudit } = require('./audit');
+
+const router = express.Router();
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_PAGE_SIZE_MAX = 200;
+const AUDIT_OUTCOMES = ['success', 'failure'];
+
+// Every admin route needs the admin scope
+router.use(requireScope('admin'));
+
+/**
+ * Strip the hash from an API key record before returning it
+ */
+function toPublicKey({ hash, ...apiKey }) {
+    return apiKey;
+}
+
+/**
+ * Validate the scopes requested for a key, returning an error message if invalid
+ */
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return 'scopes must be a non-empty array';
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return `Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Create and store a new API key
+ * The plaintext key is only ever returned from here
+ */
+async function createApiKey(name, scopes, createdBy, rotatedFrom = null) {
+    const { keyId, apiKey, hash } = generateApiKey();
+
+    const record = await saveApiKey({
+        keyId,
+        name,
+        scopes,
+        hash,
+        createdBy,
+        rotatedFrom
+    });
+
+    console.log(`API key ${keyId} (${name}) created by ${createdBy}`);
+
+    return { apiKey, key: toPublicKey(record) };
+}
+
+/**
+ * List API keys
+ * Route: GET /admin/api-keys
+ */
+router.get('/api-keys', async (req, res) => {
+    try {
+        const apiKeys = await listApiKeys();
+
+        res.status(200).json({
+            success: true,
+            apiKeys: apiKeys.map(toPublicKey)
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list API keys',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Create an API key
+ * Route: POST /admin/api-keys
+ */
+router.post('/api-keys', async (req, res) => {
+    const { name, scopes } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'Key name is required' });
+    }
+    const validationError = validateScopes(scopes);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await createApiKey(name, scopes, req.apiKeyId);
+        await recordAudit({ action: 'api_key.created', details: { keyId: result.key.keyId, name, scopes } });
+
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Replace an API key with a new one with the same name and scopes, revoking the old one
+ * Route: POST /admin/api-keys/:keyId/rotate
+ */
+router.post('/api-keys/:keyId/rotate', async (req, res) => {
+    try {
+        const existingKey = await getApiKey(req.params.keyId);
+        if (!existingKey || existingKey.revokedAt) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const result = await createApiKey(existingKey.name, existingKey.scopes, req.apiKeyId, existingKey.keyId);
+
+        await updateApiKey(existingKey.keyId, {
+            revokedAt: new Date(),
+            rotatedTo: result.key.keyId
+        });
+        await recordAudit({
+            action: 'api_key.rotated',
+            details: { keyId: existingKey.keyId, rotatedTo: result.key.keyId, name: existingKey.name }
+        });
+
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error rotating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Revoke an API key
+ * Route: DELETE /admin/api-keys/:keyId
+ */
+router.delete('/api-keys/:keyId', async (req, res) => {
+    try {
+        const existingKey = await getApiKey(req.params.keyId);
+        if (!existingKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        if (!existingKey.revokedAt) {
+            await updateApiKey(existingKey.keyId, { revokedAt: new Date() });
+            console.log(`API key ${existingKey.keyId} revoked by ${req.apiKeyId}`);
+            await recordAudit({ action: 'api_key.revoked', details: { keyId: existingKey.keyId, name: existingKey.name } });
+        }
+
+        res.status(200).json({ success: true, keyId: existingKey.keyId, revoked: true });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Disconnect a client and remove its data
+ * Route: DELETE /admin/clients/:clientId
+ */
+router.delete('/clients/:clientId', async (req, res) => {
+    try {
+        const result = await disconnectClient(req.params.clientId, {
+            disconnectedBy: `api-key:${req.apiKeyId}`,
+            reason: req.body?.reason
+        });
+
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        if (error.message === 'Client not found') {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        console.error('Error disconnecting client:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disconnect client',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Pause a client: stop its watch so no mail is processed until it's resumed
+ * Route: POST /admin/clients/:clientId/pause
+ */
+router.post('/clients/:clientId/pause', async (req, res) => {
+    try {
+        const { clientId } = req.params;
+
+        const client = await getClientById(clientId);
+        if (!client || client.status === 'disconnected') {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const change = await transitionClient(clientId, 'paused', {
+            reason: req.body?.reason || null,
+            actor: `api-key:${req.apiKeyId}`
+        });
+
+        // Best effort: an expired grant has no watch worth stopping
+        if (change && client.watchData) {
+            await stopGmailWatch(clientId).catch(err => {
+                console.error(`Failed to stop watch while pausing client ${clientId}:`, err.message);
+            });
+        }
+        if (change) {
+            await recordAudit({ action: 'client.paused', clientId, details: { reason: change.reason } });
+        }
+
+        res.status(200).json({ success: true, clientId, status: 'paused', changed: Boolean(change) });
+    } catch (error) {
+        if (error.code === 'INVALID_STATUS_TRANSITION') {
+            return res.status(409).json({ error: error.message });
+        }
+
+        console.error('Error pausing client:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pause client',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Resume a paused or failing client by setting up its watch again
+ * Route: POST /admin/clients/:clientId/resume
+ */
+router.post('/clients/:clientId/resume', async (req, res) => {
+    try {
+        const { clientId } = req.params;
+
+        const client = await getClientById(clientId);
+        if (!client || client.status === 'disconnected') {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        await transitionClient(clientId, 'pending_watch', {
+            reason: 'resumed',
+            actor: `api-key:${req.apiKeyId}`
+        });
+        await recordAudit({ action: 'client.resumed', clientId });
+
+        // Moves the client to active, or to failing/needs_reauth if the watch can't be set up
+        const result = await setupGmailWatch(clientId);
+
+        res.status(200).json({ success: true, clientId, status: 'active', watchData: result.watchData });
+    } catch (error) {
+        if (error.code === 'INVALID_STATUS_TRANSITION') {
+            return res.status(409).json({ error: error.message });
+        }
+
+        console.error('Error resuming client:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resume client',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Client counts, including a count per status
+ * Route: GET /admin/stats
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const stats = await getStats();
+
+        res.status(200).json({ success: true, stats });
+    } catch (error) {
+        console.error('Error getting stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get stats',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Parse the filters and page options of an audit log query
+ * Returns { filters, page } or { error } if a parameter is invalid
+ */
+function parseAuditQuery(query) {
+    const filters = {};
+    for (const field of ['clientId', 'actor', 'action', 'outcome']) {
+        if (query[field]) {
+            filters[field] = String(query[field]);
+        }
+    }
+    if (filters.outcome && !AUDIT_OUTCOMES.includes(filters.outcome)) {
+        return { error: `outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}` };
+    }
+
+    for (const field of ['since', 'until']) {
+        if (query[field]) {
+            const date = new Date(query[field]);
+            if (isNaN(date.getTime())) {
+                return { error: `${field} must be an ISO 8601 date` };
+            }
+            filters[field] = date;
+        }
+    }
+
+    const limit = query.limit ? Number(query.limit) : AUDIT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_PAGE_SIZE_MAX) {
+        return { error: `limit must be between 1 and ${AUDIT_PAGE_SIZE_MAX}` };
+    }
+
+    return { filters, page: { limit, cursor: query.cursor || null } };
+}
+
+/**
+ * Format an audit event for the API
+ */
+function toPublicAuditEvent({ expiresAt, timestamp, ...event }) {
+    return {
+        ...event,
+        timestamp: timestamp.toDate().toISOString()
+    };
+}
+
+/**
+ * Query the audit log, newest first
+ * Filters: clientId, actor, action, outcome, since, until; pass nextCursor as cursor for the next page
+ * Route: GET /admin/audit
+ */
+router.get('/audit', async (req, res) => {
+    const { filters, page, error: validationError } = parseAuditQuery(req.query);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { events, nextCursor } = await listAuditEvents(filters, page);
+
+        res.status(200).json({
+            success: true,
+            events: events.map(toPublicAuditEvent),
+            nextCursor
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Error listing audit events:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list audit events',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
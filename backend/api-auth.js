@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { getApiKey, updateApiKey } = require('./database');
+const { setRequestActor } = require('./audit');
+
+// Bootstrap key from the environment; it has every scope and is used to create the others
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const BOOTSTRAP_KEY_ID = 'bootstrap';
+
+// Scopes an API key can be granted. 'admin' grants all of them
+const API_KEY_SCOPES = [
+    'clients:read',
+    'clients:write',
+    'watch:write',
+    'send',
+    'drafts:write',
+    'mailbox:read',
+    'mailbox:write',
+    'credentials:read',
+    'webhooks:read',
+    'webhooks:write',
+    'admin'
+];
+
+const API_KEY_PREFIX = 'gak';
+// gak_<16 hex char keyId>_<secret>; the base64url secret may itself contain underscores
+const API_KEY_PATTERN = /^gak_([0-9a-f]{16})_(.+)$/;
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Read the API key from an "Authorization: Bearer" or "X-API-Key" header
+ */
+function getRequestApiKey(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+        return token;
+    }
+    return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Hash the secret part of an API key for storage
+ */
+function hashApiKeySecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * Keys look like gak_<keyId>_<secret>; only the hash of the secret is stored
+ */
+function generateApiKey() {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    return {
+        keyId,
+        apiKey: `${API_KEY_PREFIX}_${keyId}_${secret}`,
+        hash: hashApiKeySecret(secret)
+    };
+}
+
+/**
+ * Resolve an API key to its id and scopes, or null if it isn't valid
+ */
+async function resolveApiKey(apiKey) {
+    if (ADMIN_API_KEY && safeEqual(apiKey, ADMIN_API_KEY)) {
+        return { keyId: BOOTSTRAP_KEY_ID, scopes: ['admin'] };
+    }
+
+    const match = apiKey.match(API_KEY_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const [, keyId, secret] = match;
+
+    const storedKey = await getApiKey(keyId);
+    if (!storedKey || storedKey.revokedAt || !safeEqual(hashApiKeySecret(secret), storedKey.hash)) {
+        return null;
+    }
+
+    // Record usage, at most every few minutes per key
+    const lastUsedAt = storedKey.lastUsedAt?.toDate() || new Date(0);
+    if (Date.now() - lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+        updateApiKey(keyId, { lastUsedAt: new Date() }).catch(err => {
+            console.error('Failed to record API key usage:', err.message);
+        });
+    }
+
+    return { keyId, scopes: storedKey.scopes || [] };
+}
+
+/**
+ * Check whether a set of scopes includes the one required
+ */
+function hasScope(scopes, scope) {
+    return scopes.includes('admin') || scopes.includes(scope);
+}
+
+/**
+ * Express middleware requiring an API key with the given scope
+ * Sets req.apiKeyId to identify the caller in logs and audit records
+ */
+function requireScope(scope) {
+    return async (req, res, next) => {
+        const apiKey = getRequestApiKey(req);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        try {
+            const key = await resolveApiKey(apiKey);
+            if (!key) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (!hasScope(key.scopes, scope)) {
+                return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+            }
+
+            req.apiKeyId = key.keyId;
+            req.apiKeyScopes = key.scopes;
+            setRequestActor(`api-key:${key.keyId}`);
+            next();
+        } catch (error) {
+            console.error('Error authenticating API key:', error);
+            res.status(500).json({ error: 'Failed to authenticate API key' });
+        }
+    };
+}
+
+module.exports = {
+    requireScope,
+    generateApiKey,
+    API_KEY_SCOPES
+};
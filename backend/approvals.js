@@ -0,0 +1,285 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { savePendingReply, getPendingReply, recordReplyDecision, updatePendingReply } = require('./database');
+const { getGmailForClient } = require('./gmail-watch');
+const { createDraft, updateDraft, deleteDraft, sendDraft } = require('./gmail-drafts');
+const { buildMimeMessage } = require('./mime-builder');
+const { sendApprovalWebhook } = require('./webhook');
+const { buildAppUrl, createSignedToken, verifySignedToken } = require('./signed-links');
+const { recordAudit, setRequestActor } = require('./audit');
+
+const router = express.Router();
+
+const APPROVAL_LINK_TTL_HOURS = parseInt(process.env.APPROVAL_LINK_TTL_HOURS, 10) || 72;
+const APPROVAL_EMAIL_ENABLED = process.env.APPROVAL_EMAIL_ENABLED !== 'false';
+
+// Marks our own notification emails so the notification processor doesn't forward them
+const NOTIFICATION_HEADER = 'X-Gmail-Agent-Notification';
+
+const DECISIONS = {
+    approve: 'approved',
+    edit: 'edited',
+    discard: 'discarded'
+};
+
+/**
+ * Escape text for inclusion in an HTML email
+ */
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Email the user a link to review a pending reply
+ * Sent from their own Gmail account to their contact email
+ */
+async function sendApprovalEmail(client, pendingReply, approvalUrl) {
+    const { gmail } = await getGmailForClient(client.clientId);
+
+    const raw = buildMimeMessage({
+        from: client.gmailAddress,
+        to: client.email || client.gmailAddress,
+        subject: `Reply waiting for your approval: ${pendingReply.subject || '(no subject)'}`,
+        text: `Your Gmail agent prepared a reply to ${pendingReply.toSummary}.\n\n`
+            + `Review, edit or discard it here: ${approvalUrl}\n\n`
+            + `This link expires in ${APPROVAL_LINK_TTL_HOURS} hours.`,
+        html: `<p>Your Gmail agent prepared a reply to ${escapeHtml(pendingReply.toSummary)}.</p>`
+            + `<p><a href="${escapeHtml(approvalUrl)}">Review, edit or discard the reply</a></p>`
+            + `<p>This link expires in ${APPROVAL_LINK_TTL_HOURS} hours.</p>`,
+        headers: { [NOTIFICATION_HEADER]: 'approval-request' }
+    });
+
+    await gmail.users.messages.send({
+        userId: 'me',
+        requestBody: { raw: Buffer.from(raw).toString('base64url') }
+    });
+}
+
+/**
+ * Summarize recipients for display
+ */
+function summarizeRecipients(to) {
+    const list = Array.isArray(to) ? to : [to];
+    return list.map(recipient => (typeof recipient === 'string' ? recipient : recipient.email)).join(', ');
+}
+
+/**
+ * Save an outgoing reply as a draft and ask the user to approve it
+ */
+async function requestReplyApproval(client, options) {
+    const draft = await createDraft(client.clientId, options);
+
+    const approvalId = uuidv4();
+    const token = createSignedToken({ purpose: 'approval', approvalId }, APPROVAL_LINK_TTL_HOURS * 60 * 60);
+    const approvalUrl = buildAppUrl(`/approve?token=${encodeURIComponent(token)}`);
+
+    const pendingReply = {
+        approvalId,
+        clientId: client.clientId,
+        draftId: draft.draftId,
+        threadId: draft.threadId || options.threadId || null,
+        to: options.to,
+        cc: options.cc || null,
+        bcc: options.bcc || null,
+        toSummary: summarizeRecipients(options.to),
+        subject: options.subject || '',
+        text: options.text || null,
+        html: options.html || null,
+        inReplyTo: options.inReplyTo || null,
+        references: options.references || null,
+        hasAttachments: (options.attachments || []).length > 0,
+        expiresAt: new Date(Date.now() + APPROVAL_LINK_TTL_HOURS * 60 * 60 * 1000)
+    };
+
+    await savePendingReply(pendingReply);
+
+    if (APPROVAL_EMAIL_ENABLED) {
+        await sendApprovalEmail(client, pendingReply, approvalUrl).catch(err => {
+            console.error('Failed to send approval email:', err.message);
+        });
+    }
+
+    sendApprovalWebhook('reply_pending_approval', {
+        approvalId,
+        clientId: client.clientId,
+        gmailAddress: client.gmailAddress,
+        draftId: draft.draftId,
+        threadId: pendingReply.threadId,
+        subject: pendingReply.subject,
+        approvalUrl
+    }).catch(err => {
+        console.error('Failed to send approval webhook:', err);
+    });
+
+    return {
+        success: true,
+        status: 'pending_approval',
+        approvalId,
+        draftId: draft.draftId,
+        threadId: pendingReply.threadId,
+        approvalUrl
+    };
+}
+
+/**
+ * Carry out the user's decision on a pending reply
+ */
+async function decideReply(approvalId, action, edits = {}) {
+    const status = DECISIONS[action];
+
+    // Keep only the fields that were edited; storage rejects undefined values
+    const edited = action === 'edit'
+        ? Object.fromEntries(['subject', 'text', 'html']
+            .filter(field => edits[field] !== undefined)
+            .map(field => [field, edits[field]]))
+        : {};
+
+    const pendingReply = await recordReplyDecision(approvalId, status, action === 'edit' ? { edited } : {});
+    if (!pendingReply) {
+        return null;
+    }
+
+    let sent = null;
+    try {
+        if (action === 'discard') {
+            await deleteDraft(pendingReply.clientId, pendingReply.draftId);
+        } else {
+            if (action === 'edit') {
+                await updateDraft(pendingReply.clientId, pendingReply.draftId, {
+                    to: pendingReply.to,
+                    cc: pendingReply.cc,
+                    bcc: pendingReply.bcc,
+                    subject: edited.subject || pendingReply.subject,
+                    text: edited.text,
+                    html: edited.html,
+                    threadId: pendingReply.threadId,
+                    inReplyTo: pendingReply.inReplyTo,
+                    references: pendingReply.references
+                });
+            }
+
+            sent = await sendDraft(pendingReply.clientId, pendingReply.draftId);
+            await updatePendingReply(approvalId, { sentMessageId: sent.id });
+        }
+    } catch (error) {
+        await updatePendingReply(approvalId, { status: 'failed', error: error.message });
+        await recordAudit({
+            action: `reply.${status}`,
+            clientId: pendingReply.clientId,
+            outcome: 'failure',
+            details: { approvalId, draftId: pendingReply.draftId, error: error.message }
+        });
+        throw error;
+    }
+
+    await recordAudit({
+        action: `reply.${status}`,
+        clientId: pendingReply.clientId,
+        details: { approvalId, draftId: pendingReply.draftId, sentMessageId: sent ? sent.id : null }
+    });
+
+    sendApprovalWebhook('reply_decision', {
+        approvalId,
+        clientId: pendingReply.clientId,
+        draftId: pendingReply.draftId,
+        threadId: pendingReply.threadId,
+        decision: status,
+        edited: action === 'edit' ? edited : null,
+        sentMessageId: sent ? sent.id : null,
+        decidedAt: pendingReply.decidedAt
+    }).catch(err => {
+        console.error('Failed to send reply decision webhook:', err);
+    });
+
+    return { ...pendingReply, sentMessageId: sent ? sent.id : null };
+}
+
+/**
+ * Resolve an approval link token to its pending reply
+ */
+async function getReplyForToken(token) {
+    const payload = verifySignedToken(token);
+    if (!payload || payload.purpose !== 'approval') {
+        return null;
+    }
+    return getPendingReply(payload.approvalId);
+}
+
+/**
+ * Get a pending reply for the approval page
+ * Route: GET /approvals/:token
+ */
+router.get('/:token', async (req, res) => {
+    try {
+        const pendingReply = await getReplyForToken(req.params.token);
+        if (!pendingReply) {
+            return res.status(404).json({ error: 'This approval link is invalid or has expired' });
+        }
+
+        res.status(200).json({
+            status: pendingReply.status,
+            to: pendingReply.toSummary,
+            subject: pendingReply.subject,
+            text: pendingReply.text,
+            html: pendingReply.html,
+            hasAttachments: pendingReply.hasAttachments,
+            createdAt: pendingReply.createdAt
+        });
+    } catch (error) {
+        console.error('Error loading pending reply:', error);
+        res.status(500).json({ error: 'Failed to load reply' });
+    }
+});
+
+/**
+ * Approve, edit or discard a pending reply
+ * Route: POST /approvals/:token
+ */
+router.post('/:token', async (req, res) => {
+    try {
+        const { decision, subject, text, html } = req.body;
+
+        if (!DECISIONS[decision]) {
+            return res.status(400).json({ error: `decision must be one of: ${Object.keys(DECISIONS).join(', ')}` });
+        }
+
+        const pendingReply = await getReplyForToken(req.params.token);
+        if (!pendingReply) {
+            return res.status(404).json({ error: 'This approval link is invalid or has expired' });
+        }
+
+        // Whoever holds the link emailed to the user decides, so that's who the audit log names
+        setRequestActor('approval-link');
+
+        if (decision === 'edit') {
+            if (!text && !html) {
+                return res.status(400).json({ error: 'An edited reply needs a body' });
+            }
+            if (pendingReply.hasAttachments) {
+                return res.status(400).json({ error: 'Replies with attachments can only be approved or discarded' });
+            }
+        }
+
+        const result = await decideReply(pendingReply.approvalId, decision, { subject, text, html });
+        if (!result) {
+            return res.status(409).json({ error: 'A decision has already been made on this reply' });
+        }
+
+        res.status(200).json({
+            success: true,
+            status: result.status,
+            sentMessageId: result.sentMessageId
+        });
+    } catch (error) {
+        console.error('Error recording reply decision:', error);
+        res.status(500).json({ error: 'Failed to process decision', message: error.message });
+    }
+});
+
+module.exports = router;
+module.exports.requestReplyApproval = requestReplyApproval;
+module.exports.NOTIFICATION_HEADER = NOTIFICATION_HEADER;
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getAttachment } = require('./gmail-watch');
+const { getBlobStorage } = require('./blob-storage');
+const { buildAppUrl, createSignedToken, verifySignedToken } = require('./signed-links');
+
+const router = express.Router();
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024; // 10 MB
+const ATTACHMENT_URL_TTL_HOURS = parseInt(process.env.ATTACHMENT_URL_TTL_HOURS, 10) || 24;
+const ATTACHMENT_ALLOWED_MIME_TYPES = (process.env.ATTACHMENT_ALLOWED_MIME_TYPES || [
+    'application/pdf',
+    'image/*',
+    'text/plain',
+    'text/csv',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.*',
+    'application/vnd.ms-excel'
+].join(',')).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Check a MIME type against the allowlist, which may contain wildcards like image/*
+ */
+function isAllowedMimeType(mimeType) {
+    const type = (mimeType || '').toLowerCase();
+
+    return ATTACHMENT_ALLOWED_MIME_TYPES.some(allowed => {
+        if (allowed.endsWith('*')) {
+            return type.startsWith(allowed.slice(0, -1));
+        }
+        return type === allowed;
+    });
+}
+
+/**
+ * Make a filename safe to use as a storage key segment
+ */
+function sanitizeFilename(filename) {
+    const safe = filename.replace(/[^\w.\-]+/g, '_').replace(/^\.+/, '');
+    return safe.slice(-100) || 'attachment';
+}
+
+/**
+ * Find a MIME part by partId in a Gmail message payload
+ */
+function findPart(part, partId) {
+    if (!part) {
+        return null;
+    }
+    if (part.partId === partId) {
+        return part;
+    }
+    for (const child of part.parts || []) {
+        const found = findPart(child, partId);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the bytes of an attachment, from Gmail or from the message itself for small parts
+ */
+async function downloadAttachment(clientId, message, attachment) {
+    if (attachment.attachmentId) {
+        const { data } = await getAttachment(clientId, message.id, attachment.attachmentId);
+        return data;
+    }
+
+    const part = findPart(message.payload, attachment.partId);
+    return Buffer.from(part?.body?.data || '', 'base64url');
+}
+
+/**
+ * Create a signed, expiring download URL for a stored attachment
+ */
+function createDownloadUrl(key, attachment) {
+    const expiresInSeconds = ATTACHMENT_URL_TTL_HOURS * 60 * 60;
+    const token = createSignedToken({
+        purpose: 'attachment',
+        key,
+        filename: attachment.filename,
+        mimeType: attachment.mimeType
+    }, expiresInSeconds);
+
+    return {
+        downloadUrl: buildAppUrl(`/attachments/download/${token}`),
+        expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString()
+    };
+}
+
+/**
+ * Download and store the attachments of a processed message
+ * Returns the attachment manifest with download URLs added, or a skip reason per entry
+ */
+async function storeMessageAttachments(clientId, message, attachments) {
+    const storage = getBlobStorage();
+    if (!storage) {
+        return attachments;
+    }
+
+    const results = [];
+
+    for (const attachment of attachments) {
+        if (!isAllowedMimeType(attachment.mimeType)) {
+            results.push({ ...attachment, stored: false, skippedReason: 'MIME type not allowed' });
+            continue;
+        }
+
+        if (attachment.size > ATTACHMENT_MAX_BYTES) {
+            results.push({ ...attachment, stored: false, skippedReason: 'Attachment too large' });
+            continue;
+        }
+
+        try {
+            const data = await downloadAttachment(clientId, message, attachment);
+
+            if (data.length > ATTACHMENT_MAX_BYTES) {
+                results.push({ ...attachment, stored: false, skippedReason: 'Attachment too large' });
+                continue;
+            }
+
+            // Gmail attachment ids are long and not stable across fetches, so key on the part
+            const partHash = crypto.createHash('sha256')
+                .update(`${attachment.partId}:${attachment.filename}`)
+                .digest('hex')
+                .slice(0, 16);
+            const key = `${clientId}/${message.id}/${partHash}-${sanitizeFilename(attachment.filename)}`;
+
+            await storage.put(key, data, {
+                clientId,
+                messageId: message.id,
+                filename: attachment.filename,
+                mimeType: attachment.mimeType,
+                size: data.length,
+                storedAt: new Date().toISOString()
+            });
+
+            results.push({
+                ...attachment,
+                size: data.length,
+                stored: true,
+                ...createDownloadUrl(key, attachment)
+            });
+        } catch (error) {
+            console.error(`Failed to store attachment ${attachment.filename} of message ${message.id}:`, error.message);
+            results.push({ ...attachment, stored: false, skippedReason: 'Download failed' });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Delete every stored attachment for a client
+ */
+async function deleteClientAttachments(clientId) {
+    const storage = getBlobStorage();
+    if (storage) {
+        await storage.deletePrefix(`${clientId}/`);
+    }
+}
+
+/**
+ * Download a stored attachment through a signed link
+ * Route: GET /attachments/download/:token
+ */
+router.get('/download/:token', async (req, res) => {
+    try {
+        const payload = verifySignedToken(req.params.token);
+        if (!payload || payload.purpose !== 'attachment') {
+            return res.status(403).json({ error: 'Invalid or expired download link' });
+        }
+
+        const storage = getBlobStorage();
+        const blob = storage ? await storage.get(payload.key) : null;
+        if (!blob) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        res.set({
+            'Content-Type': payload.mimeType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${sanitizeFilename(payload.filename)}"`,
+            'Content-Length': blob.data.length,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(blob.data);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        res.status(500).json({ error: 'Failed to download attachment' });
+    }
+});
+
+module.exports = router;
+module.exports.storeMessageAttachments = storeMessageAttachments;
+module.exports.deleteClientAttachments = deleteClientAttachments;
@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { recordAuditEvent } = require('./database');
+
+// Request id and caller of the work in progress, so audit events deep in a
+// call chain are attributed without passing them through every function
+const requestContext = new AsyncLocalStorage();
+
+// An incoming X-Request-Id is kept when it looks like an id, so events can be
+// matched with the caller's own logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Express middleware giving each request an id, returned in X-Request-Id
+ */
+function requestContextMiddleware(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    requestContext.run({ requestId, actor: null }, next);
+}
+
+/**
+ * Run work outside an HTTP request (e.g. a pulled Pub/Sub message) with its own context
+ */
+function runWithRequestContext({ requestId = uuidv4(), actor = null } = {}, fn) {
+    return requestContext.run({ requestId, actor }, fn);
+}
+
+/**
+ * Record who is making the current request, e.g. "api-key:<keyId>"
+ */
+function setRequestActor(actor) {
+    const context = requestContext.getStore();
+    if (context) {
+        context.actor = actor;
+    }
+}
+
+/**
+ * Append an event to the audit log
+ * The actor defaults to the caller of the current request, or "system".
+ * Failures are logged rather than thrown, so auditing never breaks the action itself
+ */
+async function recordAudit({ action, clientId = null, outcome = 'success', actor = null, details = null }) {
+    const context = requestContext.getStore() || {};
+
+    try {
+        await recordAuditEvent({
+            action,
+            clientId,
+            outcome,
+            actor: actor || context.actor || 'system',
+            requestId: context.requestId || null,
+            details
+        });
+    } catch (error) {
+        console.error(`Failed to record audit event ${action}:`, error.message);
+    }
+}
+
+module.exports = {
+    requestContextMiddleware,
+    runWithRequestContext,
+    setRequestActor,
+    recordAudit
+};
@@ -1,14 +1,22 @@
 const express = require('express');
-const { OAuth2Client } = require('google-auth-library');
 const { v4: uuidv4 } = require('uuid');
-const { saveClient, getClientById } = require('./database');
+const { saveClient, getClientById, getClientByGmail } = require('./database');
 const { sendRegistrationWebhook } = require('./webhook');
 const { setupGmailWatch } = require('./gmail-watch');
+const { createSignedToken, verifySignedToken } = require('./signed-links');
+const { createOAuth2Client, refreshClientTokens } = require('./token-manager');
+const { createOAuthState, consumeOAuthState } = require('./oauth-state');
+const { requireScope } = require('./api-auth');
+const { disconnectClient } = require('./offboarding');
+const { transitionClient } = require('./client-status');
+const { recordAudit } = require('./audit');
 
 const router = express.Router();
 
 // Gmail API scopes
+// openid makes Google return an ID token identifying the account
 const SCOPES = [
+    'openid',
     'https://www.googleapis.com/auth/gmail.readonly',
     'https://www.googleapis.com/auth/gmail.send',
     'https://www.googleapis.com/auth/gmail.compose',
@@ -17,12 +25,84 @@ const SCOPES = [
     'https://www.googleapis.com/auth/userinfo.profile'
 ];
 
-// Initialize OAuth2 client
-const oauth2Client = new OAuth2Client(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-);
+// Self-service disconnect only needs to know who the user is
+const DISCONNECT_SCOPES = ['openid', 'https://www.googleapis.com/auth/userinfo.email'];
+const DISCONNECT_LINK_TTL_SECONDS = 15 * 60;
+
+// OAuth2 client used only to build authorization URLs
+// Anything that needs credentials gets its own instance from createOAuth2Client
+const oauth2Client = createOAuth2Client();
+
+/**
+ * Generate the Google authorization URL
+ */
+function buildAuthUrl({ state, nonce, codeChallenge }, loginHint) {
+    return oauth2Client.generateAuthUrl({
+        access_type: 'offline', // Request refresh token
+        scope: SCOPES,
+        state: state,
+        nonce: nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        prompt: 'consent', // Force consent screen to get refresh token
+        login_hint: loginHint
+    });
+}
+
+/**
+ * Verify the ID token returned with the tokens and return its claims
+ * Returns null if it wasn't issued to this app for this sign-in, or the email isn't verified
+ */
+async function verifyIdentity(userOAuth2Client, tokens, nonce) {
+    if (!tokens.id_token) {
+        console.error('OAuth callback returned no ID token');
+        return null;
+    }
+
+    try {
+        // Checks the signature, issuer, expiry and that the audience is this app
+        const ticket = await userOAuth2Client.verifyIdToken({
+            idToken: tokens.id_token,
+            audience: process.env.GOOGLE_CLIENT_ID
+        });
+        const payload = ticket.getPayload();
+
+        if (payload.nonce !== nonce) {
+            console.error('ID token nonce does not match this sign-in');
+            return null;
+        }
+
+        if (!payload.email || payload.email_verified !== true) {
+            console.error(`ID token email ${payload.email} is not verified`);
+            return null;
+        }
+
+        return payload;
+    } catch (error) {
+        console.error('Invalid ID token:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List the requested scopes the user didn't grant
+ */
+function getMissingScopes(tokens) {
+    const granted = new Set((tokens.scope || '').split(' '));
+    return SCOPES.filter(scope => !granted.has(scope));
+}
+
+/**
+ * Record a rejected OAuth callback in the audit log
+ */
+function auditRejectedCallback(reason, details = {}) {
+    return recordAudit({
+        action: 'oauth.callback',
+        outcome: 'failure',
+        actor: details.gmailAddress ? `user:${details.gmailAddress}` : 'user',
+        details: { reason, ...details }
+    });
+}
 
 /**
  * Initiate OAuth flow
@@ -32,32 +112,128 @@ router.get('/google', (req, res) => {
     try {
         const { email, name, company } = req.query;
 
-        // Generate a unique state parameter for CSRF protection
-        const state = uuidv4();
-
-        // Store registration data in session
-        req.session.registrationData = {
+        // Remember the registration data for the callback; the state also protects against CSRF
+        const oauthState = createOAuthState(req, res, {
+            purpose: 'register',
             email,
             name,
             company: company || '',
-            state
-        };
-
-        // Generate authorization URL
-        const authUrl = oauth2Client.generateAuthUrl({
-            access_type: 'offline', // Request refresh token
-            scope: SCOPES,
-            state: state,
-            prompt: 'consent' // Force consent screen to get refresh token
+            retryPath: '/'
         });
 
-        res.redirect(authUrl);
+        res.redirect(buildAuthUrl(oauthState));
     } catch (error) {
         console.error('Error initiating OAuth flow:', error);
         res.status(500).send('Failed to initiate authentication');
     }
 });
 
+/**
+ * Re-consent from a signed reconnect link, skipping the registration form
+ * Route: GET /auth/reconnect/:token
+ */
+router.get('/reconnect/:token', async (req, res) => {
+    try {
+        const payload = verifySignedToken(req.params.token);
+        if (!payload || payload.purpose !== 'reconnect') {
+            return res.status(400).send('This reconnect link is invalid or has expired.');
+        }
+
+        const client = await getClientById(payload.clientId);
+        if (!client) {
+            return res.status(404).send('This account is no longer registered.');
+        }
+
+        // Reuse the stored registration details
+        const oauthState = createOAuthState(req, res, {
+            purpose: 'reconnect',
+            email: client.email,
+            name: client.name,
+            company: client.company || '',
+            reconnectGmailAddress: client.gmailAddress,
+            retryPath: req.originalUrl
+        });
+
+        res.redirect(buildAuthUrl(oauthState, client.gmailAddress));
+    } catch (error) {
+        console.error('Error initiating reconnect flow:', error);
+        res.status(500).send('Failed to initiate authentication');
+    }
+});
+
+/**
+ * Start a self-service disconnect by asking the user to sign in with Google
+ * Route: GET /auth/disconnect
+ */
+router.get('/disconnect', (req, res) => {
+    const { state, nonce, codeChallenge } = createOAuthState(req, res, { purpose: 'disconnect' });
+
+    res.redirect(oauth2Client.generateAuthUrl({
+        scope: DISCONNECT_SCOPES,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        prompt: 'select_account'
+    }));
+});
+
+/**
+ * Identify the user signing in from the disconnect page and send them to
+ * the confirmation step with a short-lived signed token
+ */
+async function handleDisconnectCallback(req, res, code, disconnectRequest) {
+    const userOAuth2Client = createOAuth2Client();
+    const { tokens } = await userOAuth2Client.getToken({ code, codeVerifier: disconnectRequest.codeVerifier });
+
+    // The sign-in token isn't needed beyond identifying the user
+    userOAuth2Client.revokeToken(tokens.access_token).catch(err => {
+        console.error('Failed to revoke disconnect sign-in token:', err.message);
+    });
+
+    const identity = await verifyIdentity(userOAuth2Client, tokens, disconnectRequest.nonce);
+    if (!identity) {
+        await auditRejectedCallback('identity_unverified', { purpose: 'disconnect' });
+        return res.status(400).send('We could not verify your Google account. Please try again.');
+    }
+    const gmailAddress = identity.email;
+
+    const client = await getClientByGmail(gmailAddress);
+    if (!client || client.status === 'disconnected') {
+        return res.redirect(`/disconnect?error=not_registered&gmail=${encodeURIComponent(gmailAddress)}`);
+    }
+
+    const token = createSignedToken({ purpose: 'disconnect', clientId: client.clientId }, DISCONNECT_LINK_TTL_SECONDS);
+    res.redirect(`/disconnect?token=${encodeURIComponent(token)}&gmail=${encodeURIComponent(gmailAddress)}`);
+}
+
+/**
+ * Confirm a self-service disconnect
+ * Route: POST /auth/disconnect
+ */
+router.post('/disconnect', async (req, res) => {
+    try {
+        const payload = verifySignedToken(req.body.token);
+        if (!payload || payload.purpose !== 'disconnect') {
+            return res.status(400).json({ error: 'This disconnect request has expired. Please sign in again.' });
+        }
+
+        const result = await disconnectClient(payload.clientId, { disconnectedBy: 'self-service' });
+
+        res.status(200).json({
+            success: true,
+            gmailAddress: result.gmailAddress
+        });
+    } catch (error) {
+        if (error.message === 'Client not found') {
+            return res.status(404).json({ error: 'This account is already disconnected' });
+        }
+
+        console.error('Error disconnecting client:', error);
+        res.status(500).json({ error: 'Failed to disconnect account', message: error.message });
+    }
+});
+
 /**
  * Handle OAuth callback
  * Route: GET /auth/callback
@@ -69,31 +245,68 @@ router.get('/callback', async (req, res) => {
         // Handle authorization errors
         if (error) {
             console.error('OAuth error:', error);
+            await auditRejectedCallback('consent_denied', { error });
             return res.status(400).send(`Authentication failed: ${error}`);
         }
 
         // Verify state parameter for CSRF protection
-        const registrationData = req.session.registrationData;
-        if (!registrationData || registrationData.state !== state) {
-            return res.status(400).send('Invalid state parameter. Possible CSRF attack.');
+        // Each state is accepted once, within a few minutes of being issued
+        const registrationData = await consumeOAuthState(req, res, state);
+        if (!registrationData) {
+            await auditRejectedCallback('invalid_state');
+            return res.status(400).send('This sign-in request is invalid or has expired. Please start again.');
         }
 
-        // Exchange authorization code for tokens
-        const { tokens } = await oauth2Client.getToken(code);
-        oauth2Client.setCredentials(tokens);
+        // Sign-ins started from the disconnect page only identify the user
+        if (registrationData.purpose === 'disconnect') {
+            return await handleDisconnectCallback(req, res, code, registrationData);
+        }
 
-        // Get user's Gmail address and profile info
-        const { google } = require('googleapis');
-        const oauth2 = google.oauth2({
-            auth: oauth2Client,
-            version: 'v2'
-        });
+        // Exchange authorization code for tokens, proving this server started the flow (PKCE)
+        const userOAuth2Client = createOAuth2Client();
+        const { tokens } = await userOAuth2Client.getToken({ code, codeVerifier: registrationData.codeVerifier });
+
+        // Get the user's Gmail address from the verified ID token
+        const identity = await verifyIdentity(userOAuth2Client, tokens, registrationData.nonce);
+        if (!identity) {
+            await auditRejectedCallback('identity_unverified', { purpose: registrationData.purpose });
+            return res.status(400).send('We could not verify your Google account. Please try again.');
+        }
+        const gmailAddress = identity.email;
+
+        // The agent needs every scope; send the user back if they unchecked any
+        const missingScopes = getMissingScopes(tokens);
+        if (missingScopes.length > 0) {
+            console.warn(`${gmailAddress} did not grant: ${missingScopes.join(', ')}`);
+            await auditRejectedCallback('missing_scopes', {
+                purpose: registrationData.purpose,
+                gmailAddress,
+                missingScopes
+            });
+
+            // Don't keep a partial grant around
+            userOAuth2Client.revokeToken(tokens.refresh_token || tokens.access_token).catch(err => {
+                console.error('Failed to revoke partial grant:', err.message);
+            });
+
+            const missing = missingScopes.map(scope => scope.replace('https://www.googleapis.com/auth/', '')).join(',');
+            return res.redirect(`/permissions?missing=${encodeURIComponent(missing)}&retry=${encodeURIComponent(registrationData.retryPath || '/')}`);
+        }
 
-        const userInfo = await oauth2.userinfo.get();
-        const gmailAddress = userInfo.data.email;
+        // A reconnect link only restores the account it was issued for
+        const expectedAddress = registrationData.reconnectGmailAddress;
+        if (expectedAddress && expectedAddress.toLowerCase() !== gmailAddress.toLowerCase()) {
+            await auditRejectedCallback('wrong_account', {
+                purpose: registrationData.purpose,
+                gmailAddress,
+                expectedAddress
+            });
+            return res.status(400).send(`Please sign in with ${expectedAddress} to reconnect this account.`);
+        }
 
-        // Create client record
-        const clientId = uuidv4();
+        // Reconnecting an existing mailbox keeps its clientId, settings and watch
+        const existingClient = await getClientByGmail(gmailAddress);
+        const clientId = existingClient ? existingClient.clientId : uuidv4();
         const clientData = {
             clientId,
             email: registrationData.email,
@@ -102,30 +315,43 @@ router.get('/callback', async (req, res) => {
             gmailAddress,
             tokens: {
                 access_token: tokens.access_token,
-                refresh_token: tokens.refresh_token,
+                // Google only returns a refresh token on some consents
+                refresh_token: tokens.refresh_token || existingClient?.tokens?.refresh_token,
                 expiry_date: tokens.expiry_date
             },
-            registeredAt: new Date(),
-            lastRenewed: null,
-            watchData: null
+            ...(existingClient
+                ? { registeredAt: existingClient.registeredAt.toDate(), reconnectedAt: new Date() }
+                : { registeredAt: new Date(), lastRenewed: null, watchData: null })
         };
 
-        // Save to Firestore
+        // Save to Firestore, merging into the existing record on reconnect
+        // New clients start in pending_watch until their watch is set up
         await saveClient(clientData);
 
+        if (existingClient) {
+            console.log(`Client ${clientId} reconnected: ${gmailAddress}`);
+            await transitionClient(clientId, 'pending_watch', { reason: 'reconnected', actor: 'user' });
+        }
+
+        await recordAudit({
+            action: existingClient ? 'client.reconnected' : 'client.registered',
+            clientId,
+            actor: `user:${gmailAddress}`,
+            details: { gmailAddress, scopes: tokens.scope ? tokens.scope.split(' ') : SCOPES }
+        });
+
         // Set up Gmail watch (don't block on this)
+        // On reconnect this re-issues the watch on the client's existing topic
         setupGmailWatch(clientId).catch(err => {
             console.error('Failed to set up Gmail watch:', err);
         });
 
         // Send registration data to n8n webhook (don't block on this)
-        sendRegistrationWebhook(clientData).catch(err => {
+        const event = existingClient ? 'client_reconnected' : 'client_registered';
+        sendRegistrationWebhook(clientData, event).catch(err => {
             console.error('Failed to send registration webhook:', err);
         });
 
-        // Clear session data
-        delete req.session.registrationData;
-
         // Redirect to success page
         const successUrl = `/success?gmail=${encodeURIComponent(gmailAddress)}&timestamp=${Date.now()}`;
         res.redirect(successUrl);
@@ -139,7 +365,7 @@ router.get('/callback', async (req, res) => {
  * Refresh access token
  * Route: POST /auth/refresh
  */
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', requireScope('clients:write'), async (req, res) => {
     try {
         const { clientId } = req.body;
 
@@ -153,25 +379,13 @@ router.post('/refresh', async (req, res) => {
             return res.status(404).json({ error: 'Client not found' });
         }
 
-        // Set up OAuth client with refresh token
-        oauth2Client.setCredentials({
-            refresh_token: client.tokens.refresh_token
-        });
-
-        // Get new access token
-        const { credentials } = await oauth2Client.refreshAccessToken();
-
-        // Update client data
-        client.tokens.access_token = credentials.access_token;
-        client.tokens.expiry_date = credentials.expiry_date;
-
-        // Save updated tokens
-        await saveClient(client);
+        // Get a new access token and save it
+        const tokens = await refreshClientTokens(client);
 
         res.status(200).json({
             success: true,
             message: 'Token refreshed successfully',
-            expiry_date: credentials.expiry_date
+            expiry_date: tokens.expiry_date
         });
     } catch (error) {
         console.error('Error refreshing token:', error);
@@ -186,7 +400,7 @@ router.post('/refresh', async (req, res) => {
  * Revoke access
  * Route: POST /auth/revoke
  */
-router.post('/revoke', async (req, res) => {
+router.post('/revoke', requireScope('clients:write'), async (req, res) => {
     try {
         const { clientId } = req.body;
 
@@ -195,20 +409,35 @@ router.post('/revoke', async (req, res) => {
         }
 
         // Get client data
+        // A disconnected client is kept as a tombstone without tokens
         const client = await getClientById(clientId);
-        if (!client) {
+        if (!client || client.status === 'disconnected') {
             return res.status(404).json({ error: 'Client not found' });
         }
+        if (!client.tokens?.access_token) {
+            return res.status(409).json({ error: 'Client has no access token to revoke' });
+        }
 
         // Revoke the token
-        oauth2Client.setCredentials({
+        const userOAuth2Client = createOAuth2Client();
+        userOAuth2Client.setCredentials({
             access_token: client.tokens.access_token
         });
 
-        await oauth2Client.revokeCredentials();
+        try {
+            await userOAuth2Client.revokeCredentials();
+        } catch (error) {
+            await recordAudit({
+                action: 'access.revoked',
+                clientId,
+                outcome: 'failure',
+                details: { error: error.message }
+            });
+            throw error;
+        }
+        await recordAudit({ action: 'access.revoked', clientId });
 
-        // You might want to delete the client from database here
-        // await deleteClient(clientId);
+        // DELETE /admin/clients/:clientId disconnects the client entirely
 
         res.status(200).json({
             success: true,
@@ -223,12 +452,4 @@ router.post('/revoke', async (req, res) => {
     }
 });
 
-/**
- * Get OAuth client for internal use
- */
-function getOAuth2Client() {
-    return oauth2Client;
-}
-
 module.exports = router;
-module.exports.getOAuth2Client = getOAuth2Client;
@@ -0,0 +1,111 @@
+/**
+ * Pluggable blob storage used for attachment content
+ *
+ * A storage driver is an object with:
+ *   put(key, data, metadata)  -> Promise<void>
+ *   get(key)                  -> Promise<{ data: Buffer, metadata: Object } | null>
+ *   delete(key)               -> Promise<void>
+ *   deletePrefix(prefix)      -> Promise<void>
+ *
+ * Keys are '/'-separated paths such as '<clientId>/<messageId>/<file>'.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const drivers = {
+    local: createLocalStorage
+};
+
+let storage = null;
+
+/**
+ * Reject keys that could escape the storage root
+ */
+function assertSafeKey(key) {
+    const segments = String(key).split('/');
+    if (!key || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+/**
+ * Local filesystem storage
+ * Metadata is kept next to each blob in a .meta.json file
+ */
+function createLocalStorage() {
+    const rootDir = path.resolve(process.env.ATTACHMENT_STORAGE_DIR || path.join(os.tmpdir(), 'gmail-agent-attachments'));
+
+    const resolve = (key) => {
+        assertSafeKey(key);
+        return path.join(rootDir, ...key.split('/'));
+    };
+
+    return {
+        async put(key, data, metadata = {}) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, data);
+            await fs.writeFile(`${filePath}.meta.json`, JSON.stringify(metadata));
+        },
+
+        async get(key) {
+            const filePath = resolve(key);
+            try {
+                const [data, metadata] = await Promise.all([
+                    fs.readFile(filePath),
+                    fs.readFile(`${filePath}.meta.json`, 'utf8')
+                ]);
+                return { data, metadata: JSON.parse(metadata) };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            const filePath = resolve(key);
+            await fs.rm(filePath, { force: true });
+            await fs.rm(`${filePath}.meta.json`, { force: true });
+        },
+
+        async deletePrefix(prefix) {
+            await fs.rm(resolve(prefix.replace(/\/$/, '')), { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Register an additional storage driver (e.g. Cloud Storage)
+ */
+function registerBlobStorage(name, factory) {
+    drivers[name] = factory;
+}
+
+/**
+ * Get the configured storage driver, or null if ATTACHMENT_STORAGE isn't set
+ */
+function getBlobStorage() {
+    const driverName = process.env.ATTACHMENT_STORAGE;
+    if (!driverName || driverName === 'none') {
+        return null;
+    }
+
+    if (!storage) {
+        const factory = drivers[driverName];
+        if (!factory) {
+            throw new Error(`Unknown ATTACHMENT_STORAGE driver: ${driverName}`);
+        }
+        storage = factory();
+    }
+
+    return storage;
+}
+
+module.exports = {
+    getBlobStorage,
+    registerBlobStorage
+};
@@ -0,0 +1,30 @@
+const { updateClientStatus } = require('./database');
+const { sendClientEventWebhook } = require('./webhook');
+
+/**
+ * Tell n8n a client's status changed
+ */
+function notifyStatusChange(change) {
+    sendClientEventWebhook('client_status_changed', change).catch(err => {
+        console.error('Failed to send client status webhook:', err);
+    });
+}
+
+/**
+ * Move a client to a new status and notify n8n
+ * The storage backend checks the transition is allowed and records it in the client's history
+ * Returns the change, or null if the client already had that status
+ */
+async function transitionClient(clientId, status, { reason = null, actor = null } = {}) {
+    const change = await updateClientStatus(clientId, status, { reason, actor });
+
+    if (change) {
+        notifyStatusChange(change);
+    }
+    return change;
+}
+
+module.exports = {
+    transitionClient,
+    notifyStatusChange
+};
@@ -0,0 +1,210 @@
+const express = require('express');
+const { listClients, getClientRecord, updateClientProfile, CLIENT_STATUSES } = require('./database');
+const { requireScope } = require('./api-auth');
+const { recordAudit } = require('./audit');
+const { REPLY_MODES } = require('./gmail-drafts');
+
+const router = express.Router();
+
+const CLIENT_PAGE_SIZE = 50;
+const CLIENT_PAGE_SIZE_MAX = 200;
+const SORT_ORDERS = ['asc', 'desc'];
+const DATE_FILTERS = ['registeredAfter', 'registeredBefore', 'watchExpiresAfter', 'watchExpiresBefore'];
+const MAX_PROFILE_FIELD_LENGTH = 200;
+
+// Settings that can be edited here, with the values each accepts
+const EDITABLE_SETTINGS = {
+    replyMode: REPLY_MODES
+};
+
+/**
+ * Convert the Timestamps in a client record to ISO strings for the API
+ */
+function serializeDates(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(serializeDates);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeDates(item)]));
+    }
+    return value;
+}
+
+/**
+ * Parse the filters and page options of a client listing
+ * Returns { filters, page } or { error } if a parameter is invalid
+ */
+function parseClientQuery(query) {
+    const filters = {};
+
+    if (query.status) {
+        if (!CLIENT_STATUSES.includes(query.status)) {
+            return { error: `status must be one of: ${CLIENT_STATUSES.join(', ')}` };
+        }
+        filters.status = query.status;
+    }
+    if (query.company) {
+        filters.company = String(query.company);
+    }
+
+    for (const field of DATE_FILTERS) {
+        if (query[field]) {
+            const date = new Date(query[field]);
+            if (isNaN(date.getTime())) {
+                return { error: `${field} must be an ISO 8601 date` };
+            }
+            filters[field] = date;
+        }
+    }
+
+    const order = query.order || 'desc';
+    if (!SORT_ORDERS.includes(order)) {
+        return { error: `order must be one of: ${SORT_ORDERS.join(', ')}` };
+    }
+
+    const limit = query.limit ? Number(query.limit) : CLIENT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > CLIENT_PAGE_SIZE_MAX) {
+        return { error: `limit must be between 1 and ${CLIENT_PAGE_SIZE_MAX}` };
+    }
+
+    // Watch expiry filters only work on a listing sorted by watch expiry
+    const filtersWatchExpiry = Boolean(filters.watchExpiresAfter || filters.watchExpiresBefore);
+    const sort = query.sort || (filtersWatchExpiry ? 'watchExpiration' : 'registeredAt');
+
+    return { filters, page: { sort, order, limit, cursor: query.cursor || null } };
+}
+
+/**
+ * Validate a profile update, returning an error message if invalid
+ */
+function validateProfileUpdate({ name, company, settings }) {
+    if (name === undefined && company === undefined && settings === undefined) {
+        return 'Provide at least one of name, company or settings';
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_PROFILE_FIELD_LENGTH)) {
+        return `name must be a non-empty string of at most ${MAX_PROFILE_FIELD_LENGTH} characters`;
+    }
+    if (company !== undefined && (typeof company !== 'string' || company.length > MAX_PROFILE_FIELD_LENGTH)) {
+        return `company must be a string of at most ${MAX_PROFILE_FIELD_LENGTH} characters`;
+    }
+
+    if (settings !== undefined) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return 'settings must be an object';
+        }
+        for (const [key, value] of Object.entries(settings)) {
+            if (!EDITABLE_SETTINGS[key]) {
+                return `Unknown setting ${key}. Editable settings: ${Object.keys(EDITABLE_SETTINGS).join(', ')}`;
+            }
+            if (!EDITABLE_SETTINGS[key].includes(value)) {
+                return `settings.${key} must be one of: ${EDITABLE_SETTINGS[key].join(', ')}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * List clients, without their tokens
+ * Filters: status, company, registeredAfter/Before, watchExpiresAfter/Before;
+ * sort (registeredAt or watchExpiration), order, limit, and cursor from nextCursor
+ * Route: GET /admin/clients
+ */
+router.get('/', requireScope('clients:read'), async (req, res) => {
+    const { filters, page, error: validationError } = parseClientQuery(req.query);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { clients, nextCursor } = await listClients(filters, page);
+
+        res.status(200).json({
+            success: true,
+            clients: clients.map(serializeDates),
+            nextCursor
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_QUERY') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Error listing clients:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list clients',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get a client's details and status history, without its tokens
+ * Route: GET /admin/clients/:clientId
+ */
+router.get('/:clientId', requireScope('clients:read'), async (req, res) => {
+    try {
+        const client = await getClientRecord(req.params.clientId);
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        res.status(200).json({ success: true, client: serializeDates(client) });
+    } catch (error) {
+        console.error('Error getting client:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get client',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Edit a client's name, company or settings
+ * Body: { "name": "...", "company": "...", "settings": { "replyMode": "draft" } }, all optional
+ * Route: PATCH /admin/clients/:clientId
+ */
+router.patch('/:clientId', requireScope('clients:write'), async (req, res) => {
+    const { name, company, settings } = req.body || {};
+
+    const validationError = validateProfileUpdate({ name, company, settings });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { clientId } = req.params;
+
+        const existing = await getClientRecord(clientId);
+        if (!existing || existing.status === 'disconnected') {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const profile = { name: name?.trim(), company: company?.trim(), settings };
+        await updateClientProfile(clientId, profile);
+        await recordAudit({
+            action: 'client.updated',
+            clientId,
+            details: {
+                fields: Object.keys(profile).filter(field => profile[field] !== undefined),
+                ...(settings && { settings })
+            }
+        });
+
+        const client = await getClientRecord(clientId);
+        res.status(200).json({ success: true, client: serializeDates(client) });
+    } catch (error) {
+        console.error('Error updating client:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update client',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
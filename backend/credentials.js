@@ -0,0 +1,96 @@
+const express = require('express');
+const { getClientById, recordCredentialIssuance } = require('./database');
+const { getAuthorizedClient } = require('./token-manager');
+const { isInvalidGrantError, handleAuthError } = require('./reauth');
+const { requireScope } = require('./api-auth');
+const { recordAudit } = require('./audit');
+
+const router = express.Router();
+
+/**
+ * Issue a client's current access token, refreshing it if it is about to expire
+ * Pausing only stops the watch, so a paused client's agent can still get tokens to send
+ * Every issuance is recorded in the audit trail
+ */
+async function issueAccessToken(clientId, caller) {
+    // A disconnected client is kept as a tombstone without tokens
+    const client = await getClientById(clientId);
+    if (!client || client.status === 'disconnected') {
+        throw new Error('Client not found');
+    }
+    if (client.status === 'needs_reauth') {
+        throw new Error('Client needs to re-authenticate');
+    }
+    if (!client.tokens?.access_token) {
+        throw new Error('Client has no tokens');
+    }
+
+    const oauth2Client = await getAuthorizedClient(client);
+    const { access_token: accessToken, expiry_date: expiryDate } = oauth2Client.credentials;
+
+    await recordCredentialIssuance({
+        clientId,
+        gmailAddress: client.gmailAddress,
+        apiKeyId: caller.apiKeyId,
+        ip: caller.ip,
+        userAgent: caller.userAgent,
+        expiresAt: expiryDate ? new Date(expiryDate) : null
+    });
+    await recordAudit({
+        action: 'access_token.issued',
+        clientId,
+        details: { expiryDate: expiryDate || null }
+    });
+
+    console.log(`Access token issued for client ${clientId} to ${caller.apiKeyId}`);
+
+    return {
+        clientId,
+        gmailAddress: client.gmailAddress,
+        accessToken,
+        tokenType: 'Bearer',
+        expiryDate
+    };
+}
+
+/**
+ * Get a short-lived access token for a client
+ * Route: GET /credentials/:clientId/access-token
+ */
+router.get('/:clientId/access-token', requireScope('credentials:read'), async (req, res) => {
+    const { clientId } = req.params;
+
+    try {
+        const result = await issueAccessToken(clientId, {
+            apiKeyId: req.apiKeyId,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null
+        });
+
+        // Tokens must never end up in a shared cache
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error issuing access token:', error.message);
+
+        if (error.message === 'Client not found') {
+            return res.status(404).json({ success: false, error: 'Client not found' });
+        }
+        if (error.message === 'Client has no tokens') {
+            return res.status(409).json({ success: false, error: 'Client has no tokens' });
+        }
+        if (error.message === 'Client needs to re-authenticate' || isInvalidGrantError(error)) {
+            await handleAuthError(clientId, error);
+            return res.status(409).json({ success: false, error: 'Client needs to re-authenticate' });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue access token',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
+module.exports.issueAccessToken = issueAccessToken;
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+
+// Encryption keys as comma-separated keyId:key pairs, newest first
+// Keys are 32 bytes, base64 or hex encoded. The first key encrypts, any of them decrypts
+const ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS;
+// Older single passphrase. Still decrypts CryptoJS ciphertexts written before key versioning,
+// and serves as key "default" (encrypting only when ENCRYPTION_KEYS is unset)
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+
+const LEGACY_KEY_ID = 'default';
+const CIPHERTEXT_VERSION = 'v1';
+// CryptoJS passphrase ciphertexts are base64 of "Salted__..."
+const LEGACY_CIPHERTEXT_PREFIX = 'U2FsdGVkX1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Decode a 32 byte key from base64 or hex
+ */
+function parseKey(keyId, encoded) {
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+        throw new Error(`Encryption key "${keyId}" must be 32 bytes, base64 or hex encoded`);
+    }
+    return key;
+}
+
+/**
+ * Build the key ring from the environment
+ * Returns the keys by id and the id of the key used to encrypt
+ */
+function loadKeyRing() {
+    const keys = new Map();
+
+    for (const entry of (ENCRYPTION_KEYS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const keyId = entry.slice(0, separator);
+        if (separator === -1 || !KEY_ID_PATTERN.test(keyId)) {
+            throw new Error('ENCRYPTION_KEYS must be comma-separated keyId:key pairs');
+        }
+        if (keys.has(keyId)) {
+            throw new Error(`Encryption key "${keyId}" is listed twice`);
+        }
+        keys.set(keyId, parseKey(keyId, entry.slice(separator + 1)));
+    }
+
+    if (ENCRYPTION_KEY && !keys.has(LEGACY_KEY_ID)) {
+        keys.set(LEGACY_KEY_ID, crypto.createHash('sha256').update(ENCRYPTION_KEY).digest());
+    }
+
+    return { keys, primaryKeyId: keys.keys().next().value || null };
+}
+
+const { keys, primaryKeyId } = loadKeyRing();
+
+if (!primaryKeyId && process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEYS (or ENCRYPTION_KEY) must be set in production; refusing to store OAuth tokens unencrypted');
+}
+
+let warnedUnencrypted = false;
+
+/**
+ * AES-256-GCM encrypt, returning iv + ciphertext + auth tag
+ */
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Reverse seal; throws if the data was tampered with or the key is wrong
+ */
+function open(key, sealed, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+
+    return Buffer.concat([decipher.update(sealed.subarray(12, sealed.length - 16)), decipher.final()]);
+}
+
+/**
+ * Encrypt sensitive data
+ * Each value gets its own data key, wrapped with the newest key:
+ * v1:<keyId>:<wrapped data key>:<encrypted data>
+ */
+function encrypt(text) {
+    if (!primaryKeyId) {
+        if (!warnedUnencrypted) {
+            console.warn('WARNING: ENCRYPTION_KEYS not set. Tokens are stored unencrypted; run "npm run reencrypt:tokens" once a key is configured.');
+            warnedUnencrypted = true;
+        }
+        return text;
+    }
+
+    const header = `${CIPHERTEXT_VERSION}:${primaryKeyId}`;
+    const dataKey = crypto.randomBytes(32);
+
+    const wrappedKey = seal(keys.get(primaryKeyId), dataKey, header);
+    const data = seal(dataKey, Buffer.from(text, 'utf8'), header);
+
+    return `${header}:${wrappedKey.toString('base64url')}:${data.toString('base64url')}`;
+}
+
+/**
+ * Decrypt sensitive data
+ * Reads values from any configured key, legacy CryptoJS values, and values stored unencrypted
+ */
+function decrypt(ciphertext) {
+    if (ciphertext.startsWith(`${CIPHERTEXT_VERSION}:`)) {
+        const [, keyId, wrappedKey, data] = ciphertext.split(':');
+        const key = keys.get(keyId);
+        if (!key) {
+            throw new Error(`Encryption key "${keyId}" is not configured`);
+        }
+
+        const header = `${CIPHERTEXT_VERSION}:${keyId}`;
+        const dataKey = open(key, Buffer.from(wrappedKey, 'base64url'), header);
+
+        return open(dataKey, Buffer.from(data, 'base64url'), header).toString('utf8');
+    }
+
+    if (ciphertext.startsWith(LEGACY_CIPHERTEXT_PREFIX)) {
+        if (!ENCRYPTION_KEY) {
+            throw new Error('ENCRYPTION_KEY must be set to read values encrypted before key versioning');
+        }
+        return CryptoJS.AES.decrypt(ciphertext, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+    }
+
+    // Stored while no key was configured
+    return ciphertext;
+}
+
+/**
+ * Check whether stored tokens are all encrypted with the newest key
+ */
+function isEncryptedWithPrimaryKey(encryptedTokens) {
+    return Boolean(primaryKeyId) && [encryptedTokens.access_token, encryptedTokens.refresh_token]
+        .filter(Boolean)
+        .every(value => value.startsWith(`${CIPHERTEXT_VERSION}:${primaryKeyId}:`));
+}
+
+/**
+ * Encrypt client tokens before storage
+ */
+function encryptTokens(tokens) {
+    return {
+        access_token: encrypt(tokens.access_token),
+        refresh_token: tokens.refresh_token ? encrypt(tokens.refresh_token) : null,
+        expiry_date: tokens.expiry_date
+    };
+}
+
+/**
+ * Decrypt client tokens after retrieval
+ */
+function decryptTokens(encryptedTokens) {
+    if (!encryptedTokens) return null;
+
+    return {
+        access_token: decrypt(encryptedTokens.access_token),
+        refresh_token: encryptedTokens.refresh_token ? decrypt(encryptedTokens.refresh_token) : null,
+        expiry_date: encryptedTokens.expiry_date
+    };
+}
+
+module.exports = {
+    encrypt,
+    decrypt,
+    encryptTokens,
+    decryptTokens,
+    isEncryptedWithPrimaryKey,
+    ENCRYPTION_PRIMARY_KEY_ID: primaryKeyId
+};
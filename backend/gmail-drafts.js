@@ -0,0 +1,259 @@
+const express = require('express');
+const { getGmailForClient } = require('./gmail-watch');
+const { buildMimeMessage } = require('./mime-builder');
+const { updateClientSettings, getClientById } = require('./database');
+const { requireScope } = require('./api-auth');
+const { recordAudit } = require('./audit');
+
+const router = express.Router();
+
+// 'auto_send' sends agent replies immediately, 'draft' holds them for the user's approval
+const REPLY_MODES = ['auto_send', 'draft'];
+
+/**
+ * Build the draft resource for the Gmail drafts API
+ */
+function buildDraftResource(client, options) {
+    return {
+        message: {
+            raw: Buffer.from(buildMimeMessage({ ...options, from: client.gmailAddress })).toString('base64url'),
+            threadId: options.threadId
+        }
+    };
+}
+
+/**
+ * Create a draft in a client's mailbox
+ */
+async function createDraft(clientId, options) {
+    try {
+        const { client, gmail } = await getGmailForClient(clientId);
+
+        const response = await gmail.users.drafts.create({
+            userId: 'me',
+            requestBody: buildDraftResource(client, options)
+        });
+
+        console.log(`Draft created for client ${clientId}: ${response.data.id}`);
+        await recordAudit({ action: 'draft.created', clientId, details: { draftId: response.data.id } });
+
+        return {
+            success: true,
+            draftId: response.data.id,
+            messageId: response.data.message?.id,
+            threadId: response.data.message?.threadId
+        };
+    } catch (error) {
+        console.error('Error creating draft:', error);
+        await recordAudit({ action: 'draft.created', clientId, outcome: 'failure', details: { error: error.message } });
+        throw error;
+    }
+}
+
+/**
+ * Replace the content of an existing draft
+ */
+async function updateDraft(clientId, draftId, options) {
+    try {
+        const { client, gmail } = await getGmailForClient(clientId);
+
+        const response = await gmail.users.drafts.update({
+            userId: 'me',
+            id: draftId,
+            requestBody: {
+                id: draftId,
+                ...buildDraftResource(client, options)
+            }
+        });
+
+        await recordAudit({ action: 'draft.updated', clientId, details: { draftId } });
+
+        return {
+            success: true,
+            draftId: response.data.id,
+            messageId: response.data.message?.id,
+            threadId: response.data.message?.threadId
+        };
+    } catch (error) {
+        console.error('Error updating draft:', error);
+        await recordAudit({
+            action: 'draft.updated',
+            clientId,
+            outcome: 'failure',
+            details: { draftId, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Delete a draft
+ */
+async function deleteDraft(clientId, draftId) {
+    try {
+        const { gmail } = await getGmailForClient(clientId);
+
+        await gmail.users.drafts.delete({
+            userId: 'me',
+            id: draftId
+        });
+
+        console.log(`Draft ${draftId} deleted for client ${clientId}`);
+        await recordAudit({ action: 'draft.deleted', clientId, details: { draftId } });
+
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting draft:', error);
+        await recordAudit({
+            action: 'draft.deleted',
+            clientId,
+            outcome: 'failure',
+            details: { draftId, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Send an existing draft
+ */
+async function sendDraft(clientId, draftId) {
+    try {
+        const { gmail } = await getGmailForClient(clientId);
+
+        const response = await gmail.users.drafts.send({
+            userId: 'me',
+            requestBody: { id: draftId }
+        });
+
+        console.log(`Draft ${draftId} sent for client ${clientId}: ${response.data.id}`);
+        await recordAudit({
+            action: 'draft.sent',
+            clientId,
+            details: { draftId, messageId: response.data.id, threadId: response.data.threadId || null }
+        });
+
+        return {
+            success: true,
+            id: response.data.id,
+            threadId: response.data.threadId
+        };
+    } catch (error) {
+        console.error('Error sending draft:', error);
+        await recordAudit({
+            action: 'draft.sent',
+            clientId,
+            outcome: 'failure',
+            details: { draftId, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Map errors from the draft functions to an HTTP response
+ */
+function sendError(res, error, message) {
+    const status = error.message === 'Client not found' || error.code === 404 ? 404 : 500;
+    res.status(status).json({
+        success: false,
+        error: message,
+        message: error.message
+    });
+}
+
+/**
+ * Create a draft
+ * Route: POST /gmail/drafts
+ */
+router.post('/drafts', requireScope('drafts:write'), async (req, res) => {
+    const { clientId, to, cc, bcc, subject, text, html, attachments, threadId, inReplyTo, references } = req.body;
+
+    if (!clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+    }
+
+    try {
+        const result = await createDraft(clientId, { to, cc, bcc, subject, text, html, attachments, threadId, inReplyTo, references });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to create draft');
+    }
+});
+
+/**
+ * Update a draft
+ * Route: PUT /gmail/drafts/:draftId
+ */
+router.put('/drafts/:draftId', requireScope('drafts:write'), async (req, res) => {
+    const { clientId, to, cc, bcc, subject, text, html, attachments, threadId, inReplyTo, references } = req.body;
+
+    if (!clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+    }
+
+    try {
+        const result = await updateDraft(clientId, req.params.draftId, { to, cc, bcc, subject, text, html, attachments, threadId, inReplyTo, references });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to update draft');
+    }
+});
+
+/**
+ * Delete a draft
+ * Route: DELETE /gmail/drafts/:draftId?clientId=...
+ */
+router.delete('/drafts/:draftId', requireScope('drafts:write'), async (req, res) => {
+    const clientId = req.query.clientId || req.body.clientId;
+
+    if (!clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+    }
+
+    try {
+        const result = await deleteDraft(clientId, req.params.draftId);
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete draft');
+    }
+});
+
+/**
+ * Set whether a client's agent replies are sent or held as drafts for approval
+ * Route: PUT /gmail/reply-mode
+ */
+router.put('/reply-mode', requireScope('clients:write'), async (req, res) => {
+    const { clientId, replyMode } = req.body;
+
+    if (!clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+    }
+    if (!REPLY_MODES.includes(replyMode)) {
+        return res.status(400).json({ error: `replyMode must be one of: ${REPLY_MODES.join(', ')}` });
+    }
+
+    try {
+        const client = await getClientById(clientId);
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        await updateClientSettings(clientId, { replyMode });
+
+        res.status(200).json({
+            success: true,
+            clientId,
+            replyMode
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to update reply mode');
+    }
+});
+
+module.exports = router;
+module.exports.createDraft = createDraft;
+module.exports.updateDraft = updateDraft;
+module.exports.deleteDraft = deleteDraft;
+module.exports.sendDraft = sendDraft;
+module.exports.REPLY_MODES = REPLY_MODES;
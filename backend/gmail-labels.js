@@ -0,0 +1,334 @@
+const express = require('express');
+const { getGmailForClient } = require('./gmail-watch');
+const { requireScope } = require('./api-auth');
+const { recordAudit } = require('./audit');
+
+const router = express.Router();
+
+// users.messages.batchModify accepts at most 1000 ids per call
+const BATCH_MODIFY_LIMIT = 1000;
+
+/**
+ * List a client's labels
+ */
+async function listLabels(clientId) {
+    try {
+        const { gmail } = await getGmailForClient(clientId);
+
+        const response = await gmail.users.labels.list({ userId: 'me' });
+
+        return {
+            success: true,
+            labels: response.data.labels || []
+        };
+    } catch (error) {
+        console.error('Error listing labels:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create a label
+ */
+async function createLabel(clientId, label) {
+    try {
+        const { gmail } = await getGmailForClient(clientId);
+
+        const response = await gmail.users.labels.create({
+            userId: 'me',
+            requestBody: {
+                name: label.name,
+                labelListVisibility: label.labelListVisibility || 'labelShow',
+                messageListVisibility: label.messageListVisibility || 'show',
+                color: label.color
+            }
+        });
+
+        console.log(`Label "${label.name}" created for client ${clientId}`);
+        await recordAudit({ action: 'label.created', clientId, details: { labelId: response.data.id } });
+
+        return {
+            success: true,
+            label: response.data
+        };
+    } catch (error) {
+        console.error('Error creating label:', error);
+        await recordAudit({ action: 'label.created', clientId, outcome: 'failure', details: { error: error.message } });
+        throw error;
+    }
+}
+
+/**
+ * Add and remove labels on messages and threads
+ * Messages are modified with batchModify; threads one at a time
+ */
+async function modifyLabels(clientId, { messageIds = [], threadIds = [] }, addLabelIds = [], removeLabelIds = []) {
+    const details = { messageIds, threadIds, addLabelIds, removeLabelIds };
+
+    try {
+        const { gmail } = await getGmailForClient(clientId);
+
+        for (let i = 0; i < messageIds.length; i += BATCH_MODIFY_LIMIT) {
+            await gmail.users.messages.batchModify({
+                userId: 'me',
+                requestBody: {
+                    ids: messageIds.slice(i, i + BATCH_MODIFY_LIMIT),
+                    addLabelIds,
+                    removeLabelIds
+                }
+            });
+        }
+
+        for (const threadId of threadIds) {
+            await gmail.users.threads.modify({
+                userId: 'me',
+                id: threadId,
+                requestBody: { addLabelIds, removeLabelIds }
+            });
+        }
+
+        await recordAudit({ action: 'labels.modified', clientId, details });
+
+        return {
+            success: true,
+            modifiedMessages: messageIds.length,
+            modifiedThreads: threadIds.length
+        };
+    } catch (error) {
+        console.error('Error modifying labels:', error);
+        await recordAudit({
+            action: 'labels.modified',
+            clientId,
+            outcome: 'failure',
+            details: { ...details, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Move messages and threads to the trash
+ */
+async function trashItems(clientId, { messageIds = [], threadIds = [] }) {
+    try {
+        const { gmail } = await getGmailForClient(clientId);
+
+        for (const messageId of messageIds) {
+            await gmail.users.messages.trash({ userId: 'me', id: messageId });
+        }
+
+        for (const threadId of threadIds) {
+            await gmail.users.threads.trash({ userId: 'me', id: threadId });
+        }
+
+        await recordAudit({ action: 'messages.trashed', clientId, details: { messageIds, threadIds } });
+
+        return {
+            success: true,
+            trashedMessages: messageIds.length,
+            trashedThreads: threadIds.length
+        };
+    } catch (error) {
+        console.error('Error trashing messages:', error);
+        await recordAudit({
+            action: 'messages.trashed',
+            clientId,
+            outcome: 'failure',
+            details: { messageIds, threadIds, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Check that a value is an array of non-empty strings, such as message or label IDs
+ */
+function isIdList(value) {
+    return Array.isArray(value) && value.every(id => typeof id === 'string' && id.length > 0);
+}
+
+/**
+ * Read the messages and threads a request applies to
+ * Accepts messageId/messageIds and threadId/threadIds; check them with validateTargets first
+ */
+function getTargets(body) {
+    const toList = (single, many) => [...(many || []), ...(single ? [single] : [])];
+
+    return {
+        messageIds: toList(body.messageId, body.messageIds),
+        threadIds: toList(body.threadId, body.threadIds)
+    };
+}
+
+/**
+ * Validate a request acting on messages or threads, returning an error message if invalid
+ */
+function validateTargets(body) {
+    if (!body.clientId) {
+        return 'Client ID is required';
+    }
+
+    for (const field of ['messageId', 'threadId']) {
+        if (body[field] != null && (typeof body[field] !== 'string' || body[field].length === 0)) {
+            return `${field} must be a non-empty string`;
+        }
+    }
+    for (const field of ['messageIds', 'threadIds']) {
+        if (body[field] != null && !isIdList(body[field])) {
+            return `${field} must be an array of non-empty strings`;
+        }
+    }
+
+    const targets = getTargets(body);
+    if (targets.messageIds.length === 0 && targets.threadIds.length === 0) {
+        return 'At least one message or thread ID is required';
+    }
+    return null;
+}
+
+/**
+ * Validate the labels to add and remove, returning an error message if invalid
+ */
+function validateLabelChanges(addLabelIds, removeLabelIds) {
+    for (const [field, labelIds] of Object.entries({ addLabelIds, removeLabelIds })) {
+        if (!isIdList(labelIds)) {
+            return `${field} must be an array of label IDs`;
+        }
+    }
+    if (addLabelIds.length === 0 && removeLabelIds.length === 0) {
+        return 'addLabelIds or removeLabelIds is required';
+    }
+    return null;
+}
+
+/**
+ * Map errors from the label functions to an HTTP response
+ */
+function sendError(res, error, message) {
+    const status = error.message === 'Client not found' || error.code === 404 ? 404 : 500;
+    res.status(status).json({
+        success: false,
+        error: message,
+        message: error.message
+    });
+}
+
+/**
+ * Create a route that applies a fixed label change, e.g. archiving
+ */
+function labelActionRoute(addLabelIds, removeLabelIds, errorMessage) {
+    return async (req, res) => {
+        const validationError = validateTargets(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        try {
+            const result = await modifyLabels(req.body.clientId, getTargets(req.body), addLabelIds, removeLabelIds);
+            res.status(200).json(result);
+        } catch (error) {
+            sendError(res, error, errorMessage);
+        }
+    };
+}
+
+/**
+ * List labels
+ * Route: GET /gmail/labels?clientId=...
+ */
+router.get('/labels', requireScope('mailbox:read'), async (req, res) => {
+    if (!req.query.clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+    }
+
+    try {
+        const result = await listLabels(req.query.clientId);
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to list labels');
+    }
+});
+
+/**
+ * Create a label
+ * Route: POST /gmail/labels
+ */
+router.post('/labels', requireScope('mailbox:write'), async (req, res) => {
+    const { clientId, name, labelListVisibility, messageListVisibility, color } = req.body;
+
+    if (!clientId || !name) {
+        return res.status(400).json({ error: 'Client ID and label name are required' });
+    }
+
+    try {
+        const result = await createLabel(clientId, { name, labelListVisibility, messageListVisibility, color });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.code === 409) {
+            return res.status(409).json({ success: false, error: 'Label already exists' });
+        }
+        sendError(res, error, 'Failed to create label');
+    }
+});
+
+/**
+ * Add or remove labels on messages or threads
+ * Route: POST /gmail/messages/modify
+ */
+router.post('/messages/modify', requireScope('mailbox:write'), async (req, res) => {
+    const { clientId, addLabelIds = [], removeLabelIds = [] } = req.body;
+
+    const validationError = validateTargets(req.body) || validateLabelChanges(addLabelIds, removeLabelIds);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await modifyLabels(clientId, getTargets(req.body), addLabelIds, removeLabelIds);
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to modify labels');
+    }
+});
+
+/**
+ * Archive (remove from inbox)
+ * Route: POST /gmail/messages/archive
+ */
+router.post('/messages/archive', requireScope('mailbox:write'), labelActionRoute([], ['INBOX'], 'Failed to archive'));
+
+/**
+ * Mark as read
+ * Route: POST /gmail/messages/mark-read
+ */
+router.post('/messages/mark-read', requireScope('mailbox:write'), labelActionRoute([], ['UNREAD'], 'Failed to mark as read'));
+
+/**
+ * Mark as unread
+ * Route: POST /gmail/messages/mark-unread
+ */
+router.post('/messages/mark-unread', requireScope('mailbox:write'), labelActionRoute(['UNREAD'], [], 'Failed to mark as unread'));
+
+/**
+ * Move to trash
+ * Route: POST /gmail/messages/trash
+ */
+router.post('/messages/trash', requireScope('mailbox:write'), async (req, res) => {
+    const validationError = validateTargets(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await trashItems(req.body.clientId, getTargets(req.body));
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to move to trash');
+    }
+});
+
+module.exports = router;
+module.exports.listLabels = listLabels;
+module.exports.createLabel = createLabel;
+module.exports.modifyLabels = modifyLabels;
+module.exports.trashItems = trashItems;
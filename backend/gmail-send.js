@@ -0,0 +1,216 @@
+const express = require('express');
+const { getClientById } = require('./database');
+const { getGmailForClient } = require('./gmail-watch');
+const { buildMimeMessage } = require('./mime-builder');
+const { getHeader, parseAddressList } = require('./message-normalizer');
+const { requireScope } = require('./api-auth');
+const { requestReplyApproval } = require('./approvals');
+const { recordAudit } = require('./audit');
+
+const router = express.Router();
+
+/**
+ * Validate a send or reply request body, returning an error message if invalid
+ */
+function validateMessageRequest(body, requireRecipients) {
+    if (!body.clientId) {
+        return 'Client ID is required';
+    }
+    if (requireRecipients && !body.to) {
+        return 'At least one recipient is required';
+    }
+    if (!body.text && !body.html) {
+        return 'A text or HTML body is required';
+    }
+    for (const attachment of body.attachments || []) {
+        if (!attachment.filename || !attachment.content) {
+            return 'Attachments need a filename and base64 content';
+        }
+    }
+    return null;
+}
+
+/**
+ * Send a message from a client's Gmail account
+ */
+async function sendMessage(clientId, options) {
+    try {
+        const { client, gmail } = await getGmailForClient(clientId);
+
+        const raw = buildMimeMessage({ ...options, from: client.gmailAddress });
+
+        const response = await gmail.users.messages.send({
+            userId: 'me',
+            requestBody: {
+                raw: Buffer.from(raw).toString('base64url'),
+                threadId: options.threadId
+            }
+        });
+
+        console.log(`Message sent for client ${clientId}: ${response.data.id}`);
+        await recordAudit({
+            action: 'message.sent',
+            clientId,
+            details: { messageId: response.data.id, threadId: response.data.threadId || null }
+        });
+
+        return {
+            success: true,
+            id: response.data.id,
+            threadId: response.data.threadId
+        };
+    } catch (error) {
+        console.error('Error sending message:', error);
+        await recordAudit({
+            action: 'message.sent',
+            clientId,
+            outcome: 'failure',
+            details: { threadId: options.threadId || null, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Work out the headers, recipients and thread for a reply to an existing message
+ */
+async function getReplyContext(clientId, messageId, replyAll) {
+    const { client, gmail } = await getGmailForClient(clientId);
+
+    const response = await gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'metadata',
+        metadataHeaders: ['Message-ID', 'References', 'Subject', 'From', 'Reply-To', 'To', 'Cc']
+    });
+
+    const headers = response.data.payload?.headers || [];
+    const originalMessageId = getHeader(headers, 'Message-ID');
+    const originalSubject = getHeader(headers, 'Subject') || '';
+    const self = client.gmailAddress.toLowerCase();
+
+    const replyTo = parseAddressList(getHeader(headers, 'Reply-To'));
+    const from = parseAddressList(getHeader(headers, 'From'));
+    let to = replyTo.length > 0 ? replyTo : from;
+    let cc = [];
+
+    if (replyAll) {
+        cc = [...parseAddressList(getHeader(headers, 'To')), ...parseAddressList(getHeader(headers, 'Cc'))]
+            .filter(address => address.email !== self && !to.some(t => t.email === address.email));
+    }
+
+    // Replying to our own message goes to its original recipients
+    if (to.every(address => address.email === self)) {
+        to = parseAddressList(getHeader(headers, 'To'));
+    }
+
+    return {
+        threadId: response.data.threadId,
+        to,
+        cc,
+        subject: /^re:/i.test(originalSubject) ? originalSubject : `Re: ${originalSubject}`,
+        inReplyTo: originalMessageId,
+        references: [getHeader(headers, 'References'), originalMessageId].filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * Fill in the recipients, subject and threading headers of a reply
+ * from the message being replied to
+ */
+async function buildReplyOptions(clientId, messageId, options) {
+    const context = await getReplyContext(clientId, messageId, options.replyAll);
+
+    return {
+        ...options,
+        to: options.to || context.to,
+        cc: options.cc || (context.cc.length > 0 ? context.cc : undefined),
+        subject: options.subject || context.subject,
+        inReplyTo: context.inReplyTo,
+        references: context.references,
+        threadId: context.threadId
+    };
+}
+
+/**
+ * Reply to a message in its thread
+ * Recipients and subject default to those of the original message
+ */
+async function replyToMessage(clientId, messageId, options) {
+    return sendMessage(clientId, await buildReplyOptions(clientId, messageId, options));
+}
+
+/**
+ * Send a message, or hold it as a draft for approval when the client
+ * is in draft mode or the caller asks for approval
+ */
+async function sendOrRequestApproval(clientId, options, requireApproval) {
+    const client = await getClientById(clientId);
+    if (!client) {
+        throw new Error('Client not found');
+    }
+
+    if (requireApproval || client.settings?.replyMode === 'draft') {
+        return requestReplyApproval(client, options);
+    }
+
+    return sendMessage(clientId, options);
+}
+
+/**
+ * Map errors from the send functions to an HTTP response
+ */
+function sendError(res, error, message) {
+    const status = error.message === 'Client not found' ? 404 : 500;
+    res.status(status).json({
+        success: false,
+        error: message,
+        message: error.message
+    });
+}
+
+/**
+ * Send a new message
+ * Route: POST /gmail/send
+ */
+router.post('/send', requireScope('send'), async (req, res) => {
+    const validationError = validateMessageRequest(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { clientId, to, cc, bcc, subject, text, html, attachments, threadId, requireApproval } = req.body;
+        const result = await sendOrRequestApproval(clientId, { to, cc, bcc, subject, text, html, attachments, threadId }, requireApproval);
+
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to send message');
+    }
+});
+
+/**
+ * Reply to a message in its thread
+ * Route: POST /gmail/reply
+ */
+router.post('/reply', requireScope('send'), async (req, res) => {
+    const validationError = validateMessageRequest(req.body, false) || (!req.body.messageId && 'Message ID is required');
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { clientId, messageId, to, cc, bcc, subject, text, html, attachments, replyAll, requireApproval } = req.body;
+        const options = await buildReplyOptions(clientId, messageId, { to, cc, bcc, subject, text, html, attachments, replyAll });
+        const result = await sendOrRequestApproval(clientId, options, requireApproval);
+
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to send reply');
+    }
+});
+
+module.exports = router;
+module.exports.getReplyContext = getReplyContext;
+module.exports.sendMessage = sendMessage;
+module.exports.replyToMessage = replyToMessage;
@@ -1,7 +1,10 @@
 const { google } = require('googleapis');
 const { PubSub } = require('@google-cloud/pubsub');
 const { getClientById, updateWatchData } = require('./database');
-const { getOAuth2Client } = require('./auth');
+const { handleAuthError, isInvalidGrantError } = require('./reauth');
+const { getAuthorizedClient } = require('./token-manager');
+const { transitionClient } = require('./client-status');
+const { recordAudit } = require('./audit');
 
 const pubsub = new PubSub({
     projectId: process.env.FIRESTORE_PROJECT_ID,
@@ -9,6 +12,62 @@ const pubsub = new PubSub({
 
 const PUBSUB_TOPIC_PREFIX = process.env.PUBSUB_TOPIC_PREFIX || 'gmail-watch-';
 
+// 'per-client' gives every client its own topic, 'shared' publishes all
+// watches to one topic and notifications are routed by emailAddress
+const PUBSUB_TOPIC_MODE = process.env.PUBSUB_TOPIC_MODE || 'per-client';
+const PUBSUB_SHARED_TOPIC = process.env.PUBSUB_SHARED_TOPIC || 'gmail-watch-shared';
+
+// Watch the inbox only unless a client has its own filter
+const DEFAULT_WATCH_FILTER = {
+    labelIds: ['INBOX'],
+    labelFilterAction: 'include'
+};
+
+// Errors thrown before contacting Gmail because the client can't be watched right now
+const SKIPPED_WATCH_ERRORS = ['Client not found', 'Client needs to re-authenticate', 'Client is paused'];
+
+/**
+ * Get the label filter a client's watch should use
+ */
+function getWatchFilter(client) {
+    return client.watchFilter || DEFAULT_WATCH_FILTER;
+}
+
+/**
+ * Check whether a message's labels pass a watch filter
+ */
+function matchesWatchFilter(labelIds, filter) {
+    const matches = (labelIds || []).some(labelId => filter.labelIds.includes(labelId));
+    return filter.labelFilterAction === 'exclude' ? !matches : matches;
+}
+
+/**
+ * Get an authenticated Gmail API client for a client
+ */
+async function getGmailForClient(clientId) {
+    const client = await getClientById(clientId);
+    if (!client) {
+        throw new Error('Client not found');
+    }
+
+    const oauth2Client = await getAuthorizedClient(client);
+
+    return {
+        client,
+        gmail: google.gmail({ version: 'v1', auth: oauth2Client })
+    };
+}
+
+/**
+ * Get the topic a client's watch should publish to
+ */
+function getTopicName(client) {
+    if (PUBSUB_TOPIC_MODE === 'shared') {
+        return PUBSUB_SHARED_TOPIC;
+    }
+    return client.watchData?.topicName || `${PUBSUB_TOPIC_PREFIX}${client.clientId}`;
+}
+
 /**
  * Create a Pub/Sub topic if it doesn't exist
  */
@@ -31,6 +90,54 @@ async function createPubSubTopic(topicName) {
     }
 }
 
+/**
+ * Delete a Pub/Sub topic if it exists
+ */
+async function deletePubSubTopic(topicName) {
+    try {
+        const topic = pubsub.topic(topicName);
+        const [exists] = await topic.exists();
+
+        if (exists) {
+            await topic.delete();
+            console.log(`Deleted Pub/Sub topic: ${topicName}`);
+        }
+
+        return exists;
+    } catch (error) {
+        console.error('Error deleting Pub/Sub topic:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome of setting up or renewing a watch in the client's status
+ * Errors are logged so they don't hide the outcome of the watch itself
+ */
+async function recordWatchStatus(clientId, status, reason, actor = 'system') {
+    try {
+        await transitionClient(clientId, status, { reason, actor });
+    } catch (error) {
+        console.error(`Failed to set client ${clientId} status to ${status}:`, error.message);
+    }
+}
+
+/**
+ * Record a failed watch: revoked grants need re-authentication, anything else is failing
+ */
+async function handleWatchError(clientId, error, action, actor = 'system') {
+    // Nothing was attempted for these, so the status stays as it is
+    if (SKIPPED_WATCH_ERRORS.includes(error.message)) {
+        return;
+    }
+
+    await recordAudit({ action, clientId, outcome: 'failure', details: { error: error.message } });
+
+    if (!await handleAuthError(clientId, error)) {
+        await recordWatchStatus(clientId, 'failing', error.message, actor);
+    }
+}
+
 /**
  * Set up Gmail watch for a client
  */
@@ -43,39 +150,44 @@ async function setupGmailWatch(clientId) {
         }
 
         // Set up OAuth client with tokens
-        const oauth2Client = getOAuth2Client();
-        oauth2Client.setCredentials(client.tokens);
+        const oauth2Client = await getAuthorizedClient(client);
 
         // Initialize Gmail API
         const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
 
-        // Create Pub/Sub topic for this client
-        const topicName = `${PUBSUB_TOPIC_PREFIX}${clientId}`;
+        // Create the client's Pub/Sub topic, or the shared one
+        const topicName = getTopicName(client);
         await createPubSubTopic(topicName);
 
         // Full topic name in the format required by Gmail API
         const fullTopicName = `projects/${process.env.FIRESTORE_PROJECT_ID}/topics/${topicName}`;
 
         // Set up watch on Gmail
+        const watchFilter = getWatchFilter(client);
         const watchResponse = await gmail.users.watch({
             userId: 'me',
             requestBody: {
                 topicName: fullTopicName,
-                labelIds: ['INBOX'], // Watch inbox only, can be modified
-                labelFilterAction: 'include'
+                labelIds: watchFilter.labelIds,
+                labelFilterAction: watchFilter.labelFilterAction
             }
         });
 
         console.log('Gmail watch set up successfully:', watchResponse.data);
 
-        // Store watch data in database
-        const watchData = {
+        // Store watch data in database; the response's historyId only starts the checkpoint
+        // of a client without one, so messages not yet processed aren't skipped when a watch is re-issued
+        const watchData = await updateWatchData(clientId, {
             historyId: watchResponse.data.historyId,
             expiration: new Date(parseInt(watchResponse.data.expiration)),
             topicName: topicName
-        };
-
-        await updateWatchData(clientId, watchData);
+        });
+        await recordWatchStatus(clientId, 'active', 'watch_active');
+        await recordAudit({
+            action: 'watch.setup',
+            clientId,
+            details: { topicName, expiration: watchData.expiration.toISOString() }
+        });
 
         return {
             success: true,
@@ -84,14 +196,16 @@ async function setupGmailWatch(clientId) {
         };
     } catch (error) {
         console.error('Error setting up Gmail watch:', error);
+        await handleWatchError(clientId, error, 'watch.setup');
         throw error;
     }
 }
 
 /**
  * Renew Gmail watch for a client
+ * actor is recorded on the status changes it makes, e.g. 'watch-renewal' for the scheduled renewal
  */
-async function renewGmailWatch(clientId) {
+async function renewGmailWatch(clientId, { actor = 'system' } = {}) {
     try {
         console.log(`Renewing Gmail watch for client: ${clientId}`);
 
@@ -100,41 +214,51 @@ async function renewGmailWatch(clientId) {
         if (!client) {
             throw new Error('Client not found');
         }
+        if (client.status === 'needs_reauth') {
+            throw new Error('Client needs to re-authenticate');
+        }
+        if (client.status === 'paused') {
+            throw new Error('Client is paused');
+        }
 
         // Set up OAuth client with tokens
-        const oauth2Client = getOAuth2Client();
-        oauth2Client.setCredentials(client.tokens);
+        const oauth2Client = await getAuthorizedClient(client);
 
         // Initialize Gmail API
         const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
 
-        // Get the existing topic name
-        const topicName = client.watchData?.topicName || `${PUBSUB_TOPIC_PREFIX}${clientId}`;
+        // Get the topic name, moving the client to the shared topic in shared mode
+        const topicName = getTopicName(client);
         const fullTopicName = `projects/${process.env.FIRESTORE_PROJECT_ID}/topics/${topicName}`;
 
         // Ensure topic exists
         await createPubSubTopic(topicName);
 
         // Renew watch
+        const watchFilter = getWatchFilter(client);
         const watchResponse = await gmail.users.watch({
             userId: 'me',
             requestBody: {
                 topicName: fullTopicName,
-                labelIds: ['INBOX'],
-                labelFilterAction: 'include'
+                labelIds: watchFilter.labelIds,
+                labelFilterAction: watchFilter.labelFilterAction
             }
         });
 
         console.log(`Watch renewed successfully for client ${clientId}`);
 
-        // Update watch data in database
-        const watchData = {
+        // Update watch data in database, keeping the processing checkpoint
+        const watchData = await updateWatchData(clientId, {
             historyId: watchResponse.data.historyId,
             expiration: new Date(parseInt(watchResponse.data.expiration)),
             topicName: topicName
-        };
-
-        await updateWatchData(clientId, watchData);
+        });
+        await recordWatchStatus(clientId, 'active', 'watch_renewed', actor);
+        await recordAudit({
+            action: 'watch.renewed',
+            clientId,
+            details: { topicName, expiration: watchData.expiration.toISOString() }
+        });
 
         return {
             success: true,
@@ -145,10 +269,12 @@ async function renewGmailWatch(clientId) {
         };
     } catch (error) {
         console.error(`Error renewing watch for client ${clientId}:`, error);
+        await handleWatchError(clientId, error, 'watch.renewed', actor);
         return {
             success: false,
             clientId,
             error: error.message,
+            needsReauth: isInvalidGrantError(error),
             renewedAt: new Date()
         };
     }
@@ -166,8 +292,7 @@ async function stopGmailWatch(clientId) {
         }
 
         // Set up OAuth client with tokens
-        const oauth2Client = getOAuth2Client();
-        oauth2Client.setCredentials(client.tokens);
+        const oauth2Client = await getAuthorizedClient(client);
 
         // Initialize Gmail API
         const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
@@ -181,6 +306,7 @@ async function stopGmailWatch(clientId) {
 
         // Clear watch data in database
         await updateWatchData(clientId, null);
+        await recordAudit({ action: 'watch.stopped', clientId });
 
         return {
             success: true,
@@ -188,12 +314,26 @@ async function stopGmailWatch(clientId) {
         };
     } catch (error) {
         console.error('Error stopping Gmail watch:', error);
+        await recordAudit({
+            action: 'watch.stopped',
+            clientId,
+            outcome: 'failure',
+            details: { error: error.message }
+        });
         throw error;
     }
 }
 
+/**
+ * Check whether a history.list error means the startHistoryId is too old
+ */
+function isHistoryExpiredError(error) {
+    return error.code === 404 || error.response?.status === 404;
+}
+
 /**
  * Get message history since a specific historyId
+ * Returns historyExpired: true when Gmail no longer has history that far back
  */
 async function getMessageHistory(clientId, historyId) {
     try {
@@ -202,29 +342,110 @@ async function getMessageHistory(clientId, historyId) {
             throw new Error('Client not found');
         }
 
-        const oauth2Client = getOAuth2Client();
-        oauth2Client.setCredentials(client.tokens);
+        const oauth2Client = await getAuthorizedClient(client);
 
         const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
 
-        // Get history
-        const response = await gmail.users.history.list({
-            userId: 'me',
-            startHistoryId: historyId,
-            historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved']
-        });
+        // Get history, following nextPageToken until every page is read
+        const history = [];
+        let latestHistoryId = null;
+        let pageToken;
+
+        do {
+            const response = await gmail.users.history.list({
+                userId: 'me',
+                startHistoryId: historyId,
+                historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+                pageToken
+            });
+
+            history.push(...(response.data.history || []));
+            latestHistoryId = response.data.historyId;
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
 
         return {
             success: true,
-            history: response.data.history || [],
-            historyId: response.data.historyId
+            history,
+            historyId: latestHistoryId
         };
     } catch (error) {
+        if (isHistoryExpiredError(error)) {
+            console.warn(`History ID ${historyId} has expired for client ${clientId}`);
+            return {
+                success: false,
+                historyExpired: true,
+                history: [],
+                historyId: null
+            };
+        }
+
         console.error('Error getting message history:', error);
         throw error;
     }
 }
 
+/**
+ * List ids of messages received since a given date, newest first
+ * labelIds limits the listing to messages carrying all of those labels
+ */
+async function listRecentMessageIds(clientId, since, maxMessages, labelIds) {
+    try {
+        const client = await getClientById(clientId);
+        if (!client) {
+            throw new Error('Client not found');
+        }
+
+        const oauth2Client = await getAuthorizedClient(client);
+
+        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+        const messageIds = [];
+        let pageToken;
+
+        do {
+            const response = await gmail.users.messages.list({
+                userId: 'me',
+                labelIds,
+                q: `after:${Math.floor(since.getTime() / 1000)}`,
+                maxResults: Math.min(maxMessages - messageIds.length, 500),
+                pageToken
+            });
+
+            messageIds.push(...(response.data.messages || []).map(message => message.id));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken && messageIds.length < maxMessages);
+
+        return messageIds;
+    } catch (error) {
+        console.error('Error listing recent messages:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the current historyId of a client's mailbox
+ */
+async function getCurrentHistoryId(clientId) {
+    try {
+        const client = await getClientById(clientId);
+        if (!client) {
+            throw new Error('Client not found');
+        }
+
+        const oauth2Client = await getAuthorizedClient(client);
+
+        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+        const response = await gmail.users.getProfile({ userId: 'me' });
+
+        return response.data.historyId;
+    } catch (error) {
+        console.error('Error getting mailbox profile:', error);
+        throw error;
+    }
+}
+
 /**
  * Get full message details
  */
@@ -235,8 +456,7 @@ async function getMessage(clientId, messageId) {
             throw new Error('Client not found');
         }
 
-        const oauth2Client = getOAuth2Client();
-        oauth2Client.setCredentials(client.tokens);
+        const oauth2Client = await getAuthorizedClient(client);
 
         const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
 
@@ -246,12 +466,59 @@ async function getMessage(clientId, messageId) {
             format: 'full'
         });
 
+        await recordAudit({ action: 'message.read', clientId, details: { messageId } });
+
         return {
             success: true,
             message: response.data
         };
     } catch (error) {
         console.error('Error getting message:', error);
+        await recordAudit({
+            action: 'message.read',
+            clientId,
+            outcome: 'failure',
+            details: { messageId, error: error.message }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Download the content of a message attachment
+ */
+async function getAttachment(clientId, messageId, attachmentId) {
+    try {
+        const client = await getClientById(clientId);
+        if (!client) {
+            throw new Error('Client not found');
+        }
+
+        const oauth2Client = await getAuthorizedClient(client);
+
+        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+        const response = await gmail.users.messages.attachments.get({
+            userId: 'me',
+            messageId,
+            id: attachmentId
+        });
+
+        await recordAudit({ action: 'attachment.read', clientId, details: { messageId, attachmentId } });
+
+        return {
+            success: true,
+            data: Buffer.from(response.data.data, 'base64url'),
+            size: response.data.size
+        };
+    } catch (error) {
+        console.error('Error getting attachment:', error);
+        await recordAudit({
+            action: 'attachment.read',
+            clientId,
+            outcome: 'failure',
+            details: { messageId, attachmentId, error: error.message }
+        });
         throw error;
     }
 }
@@ -261,6 +528,17 @@ module.exports = {
     renewGmailWatch,
     stopGmailWatch,
     getMessageHistory,
+    listRecentMessageIds,
+    getCurrentHistoryId,
     getMessage,
-    createPubSubTopic
+    getAttachment,
+    getGmailForClient,
+    getWatchFilter,
+    matchesWatchFilter,
+    getTopicName,
+    createPubSubTopic,
+    deletePubSubTopic,
+    PUBSUB_TOPIC_MODE,
+    PUBSUB_TOPIC_PREFIX,
+    PUBSUB_SHARED_TOPIC
 };
@@ -0,0 +1,296 @@
+/**
+ * Turns Gmail API message resources (format: 'full') into the JSON envelope sent to n8n
+ */
+
+// Lines that introduce the quoted original in a reply
+const QUOTE_MARKERS = [
+    /^On .+ wrote:$/,
+    /^-{2,}\s*Original Message\s*-{2,}$/i,
+    /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+    /^_{10,}$/, // Outlook separator
+    /^From: .+$/ // Outlook header block
+];
+
+// What windows-1252 (also used for iso-8859-1 and us-ascii labels) puts at 0x80-0x9F
+// Some Node versions decode these bytes as C1 control characters instead
+const WINDOWS_1252_C1 = [
+    0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021,
+    0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+    0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+    0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+];
+
+/**
+ * Get a header value by name (case-insensitive)
+ */
+function getHeader(headers, name) {
+    const header = (headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : null;
+}
+
+/**
+ * Decode a base64url string into a Buffer
+ */
+function decodeBase64Url(data) {
+    return Buffer.from(data || '', 'base64url');
+}
+
+/**
+ * Decode bytes using the given charset, falling back to UTF-8 for unknown ones
+ */
+function decodeText(buffer, charset) {
+    const label = (charset || 'utf-8').trim().toLowerCase();
+
+    let decoder;
+    try {
+        decoder = new TextDecoder(label);
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+
+    if (decoder.encoding === 'windows-1252') {
+        return Array.from(buffer, byte => String.fromCharCode(
+            byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_C1[byte - 0x80] : byte
+        )).join('');
+    }
+
+    return decoder.decode(buffer);
+}
+
+/**
+ * Get a parameter (e.g. charset) from a header like Content-Type
+ */
+function getHeaderParam(value, param) {
+    if (!value) {
+        return null;
+    }
+
+    const match = value.match(new RegExp(`;\\s*${param}\\s*=\\s*"?([^";]+)"?`, 'i'));
+    return match ? match[1] : null;
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?...?=
+ */
+function decodeEncodedWords(value) {
+    if (!value) {
+        return value;
+    }
+
+    return value
+        .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+        .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+            try {
+                const bytes = encoding.toUpperCase() === 'B'
+                    ? Buffer.from(text, 'base64')
+                    : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi,
+                        (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1');
+
+                return decodeText(bytes, charset.split('*')[0]);
+            } catch (error) {
+                return match;
+            }
+        });
+}
+
+/**
+ * Parse an address header into a list of { name, email }
+ */
+function parseAddressList(value) {
+    if (!value) {
+        return [];
+    }
+
+    // Split on commas outside of quotes and angle brackets
+    const entries = [];
+    let current = '';
+    let inQuotes = false;
+    let inBrackets = false;
+
+    for (const char of value) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (char === '<' && !inQuotes) inBrackets = true;
+        if (char === '>' && !inQuotes) inBrackets = false;
+
+        if (char === ',' && !inQuotes && !inBrackets) {
+            entries.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    entries.push(current);
+
+    return entries
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const match = entry.match(/^(.*?)\s*<([^>]+)>$/);
+            if (!match) {
+                return { name: null, email: entry.toLowerCase() };
+            }
+
+            const name = decodeEncodedWords(match[1].replace(/^"|"$/g, '').trim());
+            return { name: name || null, email: match[2].trim().toLowerCase() };
+        });
+}
+
+/**
+ * Visit every MIME part of a message payload, depth first
+ */
+function walkParts(part, visit) {
+    if (!part) {
+        return;
+    }
+
+    visit(part);
+    for (const child of part.parts || []) {
+        walkParts(child, visit);
+    }
+}
+
+/**
+ * Check whether a part is an attachment rather than a message body
+ */
+function isAttachmentPart(part) {
+    const disposition = getHeader(part.headers, 'Content-Disposition') || '';
+    return !!part.filename || /^attachment/i.test(disposition);
+}
+
+/**
+ * Very small HTML to text conversion for messages without a text/plain part
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Strip the quoted reply chain, leaving only the newest text of a message
+ */
+function extractLatestText(text) {
+    if (!text) {
+        return '';
+    }
+
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const latest = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Gmail sometimes wraps "On <date>, <name> wrote:" over two lines
+        const candidates = [trimmed, `${trimmed} ${(lines[i + 1] || '').trim()}`];
+        const isMarker = candidates.some(candidate => QUOTE_MARKERS.some(marker => marker.test(candidate)));
+
+        if (isMarker && latest.some(l => l.trim())) {
+            break;
+        }
+
+        if (trimmed.startsWith('>')) {
+            continue;
+        }
+
+        latest.push(line);
+    }
+
+    return latest.join('\n').trim();
+}
+
+/**
+ * Build the attachment manifest entry for a part
+ */
+function toAttachment(part) {
+    const disposition = getHeader(part.headers, 'Content-Disposition') || '';
+    const contentId = getHeader(part.headers, 'Content-ID');
+
+    return {
+        attachmentId: part.body?.attachmentId || null,
+        partId: part.partId,
+        filename: decodeEncodedWords(part.filename) || 'attachment',
+        mimeType: part.mimeType,
+        size: part.body?.size || 0,
+        contentId: contentId ? contentId.replace(/^<|>$/g, '') : null,
+        inline: /^inline/i.test(disposition)
+    };
+}
+
+/**
+ * Normalize a Gmail API message into a clean JSON envelope
+ */
+function normalizeMessage(message) {
+    const payload = message.payload || {};
+    const headers = payload.headers || [];
+
+    const textParts = [];
+    const htmlParts = [];
+    const attachments = [];
+
+    walkParts(payload, part => {
+        if (part.parts) {
+            return;
+        }
+
+        if (isAttachmentPart(part)) {
+            attachments.push(toAttachment(part));
+            return;
+        }
+
+        if (part.mimeType !== 'text/plain' && part.mimeType !== 'text/html') {
+            return;
+        }
+
+        const charset = getHeaderParam(getHeader(part.headers, 'Content-Type'), 'charset');
+        const content = decodeText(decodeBase64Url(part.body?.data), charset);
+
+        (part.mimeType === 'text/plain' ? textParts : htmlParts).push(content);
+    });
+
+    const html = htmlParts.join('\n') || null;
+    const text = textParts.join('\n') || (html ? htmlToText(html) : '');
+
+    const dateHeader = getHeader(headers, 'Date');
+    const internalDate = message.internalDate ? new Date(parseInt(message.internalDate, 10)) : null;
+    const sentDate = dateHeader ? new Date(dateHeader) : null;
+
+    return {
+        id: message.id,
+        threadId: message.threadId,
+        historyId: message.historyId || null,
+        labelIds: message.labelIds || [],
+        snippet: message.snippet || '',
+        messageId: getHeader(headers, 'Message-ID'),
+        inReplyTo: getHeader(headers, 'In-Reply-To'),
+        references: getHeader(headers, 'References'),
+        from: parseAddressList(getHeader(headers, 'From'))[0] || null,
+        replyTo: parseAddressList(getHeader(headers, 'Reply-To')),
+        to: parseAddressList(getHeader(headers, 'To')),
+        cc: parseAddressList(getHeader(headers, 'Cc')),
+        subject: decodeEncodedWords(getHeader(headers, 'Subject')) || '',
+        date: (sentDate && !isNaN(sentDate) ? sentDate : internalDate)?.toISOString() || null,
+        receivedAt: internalDate ? internalDate.toISOString() : null,
+        text,
+        html,
+        latestText: extractLatestText(text),
+        attachments
+    };
+}
+
+module.exports = {
+    normalizeMessage,
+    parseAddressList,
+    extractLatestText,
+    getHeader
+};
@@ -0,0 +1,24 @@
+/**
+ * Store a status on client records saved before client statuses existed
+ *
+ * Such records are treated as active (with a watch) or pending_watch, but
+ * queries on the status field only find a stored status.
+ * Safe to run more than once; records that have a status are left alone.
+ *
+ * Usage:
+ *   npm run migrate:client-status
+ */
+
+require('dotenv').config();
+const { backfillClientStatuses } = require('./database');
+
+async function migrate() {
+    const { total, backfilled } = await backfillClientStatuses();
+
+    console.log(`Migration complete: ${backfilled} of ${total} client(s) backfilled`);
+}
+
+migrate().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,152 @@
+/**
+ * Move existing clients from per-client Pub/Sub topics to the shared topic
+ *
+ * Checks that the shared topic exists, that Gmail may publish to it and that
+ * something is subscribed to it, then re-issues each client's Gmail watch
+ * against PUBSUB_SHARED_TOPIC and deletes the per-client topics no longer in use.
+ * A client whose watch can't be moved is reported and keeps its old topic.
+ *
+ * Usage:
+ *   PUBSUB_TOPIC_MODE=shared npm run migrate:shared-topic [-- --dry-run] [-- --keep-topics]
+ */
+
+require('dotenv').config();
+const { PubSub } = require('@google-cloud/pubsub');
+const { listClients } = require('./database');
+const {
+    renewGmailWatch,
+    deletePubSubTopic,
+    PUBSUB_TOPIC_MODE,
+    PUBSUB_TOPIC_PREFIX,
+    PUBSUB_SHARED_TOPIC
+} = require('./gmail-watch');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const KEEP_TOPICS = args.includes('--keep-topics');
+
+const PAGE_SIZE = 200;
+
+// Gmail publishes notifications as this service account
+const GMAIL_PUBLISHER = 'serviceAccount:gmail-api-push@system.gserviceaccount.com';
+const PUBLISHER_ROLES = ['roles/pubsub.publisher', 'roles/pubsub.editor', 'roles/pubsub.admin'];
+
+const pubsub = new PubSub({
+    projectId: process.env.FIRESTORE_PROJECT_ID,
+});
+
+/**
+ * Check the shared topic can take over from the per-client topics
+ * Returns the problems found, empty if it is ready
+ */
+async function checkSharedTopic() {
+    const topic = pubsub.topic(PUBSUB_SHARED_TOPIC);
+
+    const [exists] = await topic.exists();
+    if (!exists) {
+        return [`Topic ${PUBSUB_SHARED_TOPIC} doesn't exist`];
+    }
+
+    const problems = [];
+
+    const [policy] = await topic.iam.getPolicy();
+    const canPublish = (policy.bindings || [])
+        .some(binding => PUBLISHER_ROLES.includes(binding.role) && (binding.members || []).includes(GMAIL_PUBLISHER));
+    if (!canPublish) {
+        problems.push(`${GMAIL_PUBLISHER} has no roles/pubsub.publisher grant on ${PUBSUB_SHARED_TOPIC}`);
+    }
+
+    const [subscriptions] = await topic.getSubscriptions();
+    if (subscriptions.length === 0) {
+        problems.push(`Nothing is subscribed to ${PUBSUB_SHARED_TOPIC}, so its notifications would be lost`);
+    }
+
+    return problems;
+}
+
+/**
+ * List the watched clients still on a per-client topic
+ * Listing doesn't decrypt tokens, so a bad record only fails its own move
+ */
+async function getClientsToMove() {
+    const clients = [];
+    let cursor = null;
+    do {
+        const page = await listClients({}, { sort: 'watchExpiration', order: 'asc', limit: PAGE_SIZE, cursor });
+        clients.push(...page.clients);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return clients.filter(client => client.watchData?.topicName && client.watchData.topicName !== PUBSUB_SHARED_TOPIC);
+}
+
+/**
+ * Move a client's watch to the shared topic, then delete its old topic
+ */
+async function moveClient(client) {
+    const oldTopicName = client.watchData.topicName;
+    const result = await renewGmailWatch(client.clientId);
+
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    console.log(`Moved ${client.clientId} (${client.gmailAddress}) to ${PUBSUB_SHARED_TOPIC}`);
+
+    // Only delete topics this service created for a single client
+    if (!KEEP_TOPICS && oldTopicName.startsWith(PUBSUB_TOPIC_PREFIX)) {
+        try {
+            await deletePubSubTopic(oldTopicName);
+        } catch (error) {
+            console.error(`Failed to delete topic ${oldTopicName}: ${error.message}`);
+        }
+    }
+}
+
+async function migrate() {
+    if (PUBSUB_TOPIC_MODE !== 'shared') {
+        throw new Error('Set PUBSUB_TOPIC_MODE=shared before migrating, or new watches will go back to per-client topics');
+    }
+
+    const problems = await checkSharedTopic();
+    problems.forEach(problem => console.error(problem));
+
+    const clients = await getClientsToMove();
+    console.log(`Found ${clients.length} client(s) on per-client topics`);
+
+    if (DRY_RUN) {
+        clients.forEach(client => {
+            console.log(`Would move ${client.clientId} (${client.gmailAddress}) from ${client.watchData.topicName}`);
+        });
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    // Nothing has moved yet, so every client keeps a working topic
+    if (problems.length > 0) {
+        throw new Error(`${PUBSUB_SHARED_TOPIC} isn't ready; no watches were moved`);
+    }
+
+    const failures = [];
+    for (const client of clients) {
+        try {
+            await moveClient(client);
+        } catch (error) {
+            console.error(`Failed to move ${client.clientId} (${client.gmailAddress}): ${error.message}`);
+            failures.push(client.clientId);
+        }
+    }
+
+    console.log(`Migration complete: ${clients.length - failures.length} moved, ${failures.length} failed`);
+
+    if (failures.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+migrate().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+});
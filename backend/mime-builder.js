@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+/**
+ * Remove line breaks so values can't inject extra headers
+ */
+function sanitizeHeader(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Check whether a string is printable ASCII
+ */
+function isPlainAscii(value) {
+    return /^[\x20-\x7e]*$/.test(value);
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word if it isn't plain ASCII
+ */
+function encodeHeaderValue(value) {
+    const clean = sanitizeHeader(value);
+    if (isPlainAscii(clean)) {
+        return clean;
+    }
+    return `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+}
+
+/**
+ * Format recipients given as strings, { name, email } objects or arrays of either
+ */
+function formatAddresses(recipients) {
+    if (!recipients) {
+        return null;
+    }
+
+    const list = Array.isArray(recipients) ? recipients : [recipients];
+    const formatted = list.map(recipient => {
+        if (typeof recipient === 'string') {
+            return sanitizeHeader(recipient);
+        }
+
+        const email = sanitizeHeader(recipient.email);
+        if (!recipient.name) {
+            return email;
+        }
+
+        const name = encodeHeaderValue(recipient.name);
+        return name.startsWith('=?') ? `${name} <${email}>` : `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>`;
+    });
+
+    return formatted.length > 0 ? formatted.join(', ') : null;
+}
+
+/**
+ * Base64 encode content wrapped at 76 characters, as required for MIME bodies
+ */
+function toBase64Lines(content) {
+    const encoded = Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(content).toString('base64');
+    return encoded.replace(/.{76}(?=.)/g, '$&\r\n');
+}
+
+/**
+ * Build a single text/plain or text/html part
+ */
+function buildTextPart(mimeType, content) {
+    return [
+        `Content-Type: ${mimeType}; charset="UTF-8"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        toBase64Lines(content)
+    ].join('\r\n');
+}
+
+/**
+ * Build an attachment part; content is base64 encoded
+ */
+function buildAttachmentPart(attachment) {
+    const filename = sanitizeHeader(attachment.filename || 'attachment').replace(/"/g, '');
+    const dispositionName = isPlainAscii(filename)
+        ? `filename="${filename}"`
+        : `filename*=UTF-8''${encodeURIComponent(filename)}`;
+
+    return [
+        `Content-Type: ${sanitizeHeader(attachment.mimeType || 'application/octet-stream')}; name="${encodeHeaderValue(filename)}"`,
+        `Content-Disposition: attachment; ${dispositionName}`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        toBase64Lines(Buffer.from(attachment.content, 'base64'))
+    ].join('\r\n');
+}
+
+/**
+ * Wrap parts into a multipart body
+ */
+function buildMultipart(subtype, parts) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+    return [
+        `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+        '',
+        ...parts.map(part => `--${boundary}\r\n${part}`),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+/**
+ * Build an RFC 2822 MIME message
+ */
+function buildMimeMessage(options) {
+    const { from, to, cc, bcc, subject, text, html, attachments = [], inReplyTo, references, headers: extraHeaders = {} } = options;
+
+    const headers = [
+        ['From', formatAddresses(from)],
+        ['To', formatAddresses(to)],
+        ['Cc', formatAddresses(cc)],
+        ['Bcc', formatAddresses(bcc)],
+        ['Subject', encodeHeaderValue(subject || '')],
+        ['Date', new Date().toUTCString()],
+        ['In-Reply-To', inReplyTo ? sanitizeHeader(inReplyTo) : null],
+        ['References', references ? sanitizeHeader(references) : null],
+        ...Object.entries(extraHeaders).map(([name, value]) => [sanitizeHeader(name), encodeHeaderValue(value)]),
+        ['MIME-Version', '1.0']
+    ].filter(([, value]) => value);
+
+    let body;
+    if (text && html) {
+        body = buildMultipart('alternative', [buildTextPart('text/plain', text), buildTextPart('text/html', html)]);
+    } else {
+        body = html ? buildTextPart('text/html', html) : buildTextPart('text/plain', text || '');
+    }
+
+    if (attachments.length > 0) {
+        body = buildMultipart('mixed', [body, ...attachments.map(buildAttachmentPart)]);
+    }
+
+    return `${headers.map(([name, value]) => `${name}: ${value}`).join('\r\n')}\r\n${body}`;
+}
+
+module.exports = {
+    buildMimeMessage
+};
@@ -0,0 +1,285 @@
+const {
+    getClientByGmail,
+    updateHistoryId,
+    claimMessage,
+    markMessageProcessed,
+    releaseMessageClaim
+} = require('./database');
+const {
+    getMessageHistory,
+    listRecentMessageIds,
+    getCurrentHistoryId,
+    getMessage,
+    getWatchFilter,
+    matchesWatchFilter
+} = require('./gmail-watch');
+const { sendMessageWebhook } = require('./webhook');
+const { normalizeMessage, getHeader } = require('./message-normalizer');
+const { storeMessageAttachments } = require('./attachments');
+const { NOTIFICATION_HEADER } = require('./approvals');
+const { handleAuthError } = require('./reauth');
+
+// Full sync window used when the stored historyId has expired
+const FULL_SYNC_WINDOW_HOURS = parseInt(process.env.FULL_SYNC_WINDOW_HOURS, 10) || 24;
+const FULL_SYNC_MAX_MESSAGES = parseInt(process.env.FULL_SYNC_MAX_MESSAGES, 10) || 200;
+
+// Tail of the processing queue for each mailbox
+const mailboxQueues = new Map();
+
+/**
+ * Decode the data of a Pub/Sub message into a Gmail notification
+ * Push requests carry base64 text, pull subscriptions deliver a Buffer
+ */
+function parseNotification(data) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64');
+    const notification = JSON.parse(raw.toString());
+
+    if (!notification.emailAddress || !notification.historyId) {
+        throw new Error('Notification is missing emailAddress or historyId');
+    }
+
+    return notification;
+}
+
+/**
+ * Check whether a Gmail API error is a 404
+ */
+function isNotFoundError(error) {
+    return error.code === 404 || error.response?.status === 404;
+}
+
+/**
+ * Check whether a message from history should be forwarded to n8n
+ * Drafts and our own outgoing mail are skipped so agents don't answer themselves
+ */
+function isIncomingMessage(message) {
+    const labelIds = message.labelIds || [];
+
+    if (labelIds.includes('DRAFT')) {
+        return false;
+    }
+
+    return !labelIds.includes('SENT') || labelIds.includes('INBOX');
+}
+
+/**
+ * Check whether a message should be delivered to this client's agent
+ */
+function shouldDeliver(client, message) {
+    return isIncomingMessage(message) && matchesWatchFilter(message.labelIds, getWatchFilter(client));
+}
+
+/**
+ * Collect the ids of incoming messages added in a history listing
+ */
+function getAddedMessageIds(client, history) {
+    const messageIds = [];
+    const seen = new Set();
+
+    for (const record of history) {
+        for (const added of record.messagesAdded || []) {
+            const message = added.message;
+
+            if (!message || seen.has(message.id) || !shouldDeliver(client, message)) {
+                continue;
+            }
+
+            seen.add(message.id);
+            messageIds.push(message.id);
+        }
+    }
+
+    return messageIds;
+}
+
+/**
+ * Run tasks for the same mailbox one after another
+ * Keeps concurrent pushes for one client from racing on its historyId
+ */
+function runExclusive(key, task) {
+    const previous = mailboxQueues.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+
+    mailboxQueues.set(key, tail);
+    tail.then(() => {
+        if (mailboxQueues.get(key) === tail) {
+            mailboxQueues.delete(key);
+        }
+    });
+
+    return run;
+}
+
+/**
+ * Deliver a single message to n8n unless it was already delivered
+ * Returns true if the message was sent
+ */
+async function deliverMessage(client, messageId) {
+    const claimed = await claimMessage(client.clientId, messageId);
+    if (!claimed) {
+        return false;
+    }
+
+    try {
+        let message;
+        try {
+            ({ message } = await getMessage(client.clientId, messageId));
+        } catch (error) {
+            // The message was deleted before we got to it
+            if (isNotFoundError(error)) {
+                await markMessageProcessed(client.clientId, messageId);
+                return false;
+            }
+            throw error;
+        }
+
+        // Full sync listings don't carry labels, so the watch filter is checked here too
+        if (!shouldDeliver(client, message)) {
+            await releaseMessageClaim(client.clientId, messageId);
+            return false;
+        }
+
+        // Approval requests we emailed to the user aren't mail for the agent
+        if (getHeader(message.payload?.headers, NOTIFICATION_HEADER)) {
+            await markMessageProcessed(client.clientId, messageId);
+            return false;
+        }
+
+        const envelope = normalizeMessage(message);
+        envelope.attachments = await storeMessageAttachments(client.clientId, message, envelope.attachments);
+
+        // An unset webhook URL fails too, so the message waits until it can be delivered
+        const result = await sendMessageWebhook(client, envelope);
+        if (!result.success) {
+            throw new Error(`Failed to deliver message ${messageId}: ${result.error || result.reason}`);
+        }
+
+        await markMessageProcessed(client.clientId, messageId);
+        return true;
+    } catch (error) {
+        await releaseMessageClaim(client.clientId, messageId);
+        throw error;
+    }
+}
+
+/**
+ * Forward messages to n8n in order, skipping ones already delivered
+ * A failure stops the batch so the checkpoint stays put and the notification is retried
+ */
+async function deliverMessages(client, messageIds) {
+    let delivered = 0;
+
+    for (const messageId of messageIds) {
+        if (await deliverMessage(client, messageId)) {
+            delivered++;
+        }
+    }
+
+    return delivered;
+}
+
+/**
+ * Recover from an expired historyId by re-reading recent messages,
+ * delivering the ones missing from the ledger, then resetting the checkpoint
+ */
+async function runFullSync(client) {
+    console.log(`Running full sync for ${client.gmailAddress} over the last ${FULL_SYNC_WINDOW_HOURS} hours`);
+
+    // Read the checkpoint first so anything arriving during the sync is picked up next time
+    const historyId = await getCurrentHistoryId(client.clientId);
+
+    // A single included label can be listed directly; other filters are applied per message
+    const watchFilter = getWatchFilter(client);
+    const listLabelIds = watchFilter.labelFilterAction === 'include' && watchFilter.labelIds.length === 1
+        ? watchFilter.labelIds
+        : undefined;
+
+    const since = new Date(Date.now() - FULL_SYNC_WINDOW_HOURS * 60 * 60 * 1000);
+    const recentIds = await listRecentMessageIds(client.clientId, since, FULL_SYNC_MAX_MESSAGES, listLabelIds);
+
+    const delivered = await deliverMessages(client, recentIds.reverse());
+
+    await updateHistoryId(client.clientId, historyId);
+
+    return delivered;
+}
+
+/**
+ * Fetch messages added since the stored historyId and forward them to n8n
+ */
+async function syncMailbox(emailAddress, historyId) {
+    const client = await getClientByGmail(emailAddress);
+    if (!client || client.status === 'disconnected') {
+        console.warn(`Received notification for unknown mailbox: ${emailAddress}`);
+        return { success: false, reason: 'Client not found' };
+    }
+
+    // Gmail can't be read until the user reconnects; the watch lapses on its own
+    if (client.status === 'needs_reauth') {
+        console.warn(`Skipping notification for ${emailAddress}: client needs to re-authenticate`);
+        return { success: false, clientId: client.clientId, reason: 'Client needs to re-authenticate' };
+    }
+
+    // Notifications still in flight when the watch was stopped
+    if (client.status === 'paused') {
+        console.warn(`Skipping notification for ${emailAddress}: client is paused`);
+        return { success: false, clientId: client.clientId, reason: 'Client is paused' };
+    }
+
+    try {
+        return await syncClientMailbox(client, historyId);
+    } catch (error) {
+        // A revoked grant won't fix itself on redelivery, so flag the client and acknowledge
+        if (await handleAuthError(client.clientId, error)) {
+            return { success: false, clientId: client.clientId, reason: 'Client needs to re-authenticate' };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Sync a known client's mailbox from its stored historyId
+ */
+async function syncClientMailbox(client, historyId) {
+    const startHistoryId = client.watchData?.historyId;
+
+    // Without a checkpoint there is nothing to diff against, so start from here
+    if (!startHistoryId) {
+        await updateHistoryId(client.clientId, historyId);
+        return { success: true, clientId: client.clientId, delivered: 0 };
+    }
+
+    const history = await getMessageHistory(client.clientId, startHistoryId);
+
+    let delivered;
+    if (history.historyExpired) {
+        delivered = await runFullSync(client);
+    } else {
+        delivered = await deliverMessages(client, getAddedMessageIds(client, history.history));
+        await updateHistoryId(client.clientId, history.historyId || historyId);
+    }
+
+    console.log(`Processed notification for ${client.gmailAddress}: ${delivered} message(s) delivered`);
+
+    return {
+        success: true,
+        clientId: client.clientId,
+        delivered,
+        fullSync: !!history.historyExpired
+    };
+}
+
+/**
+ * Process a Gmail push notification
+ */
+async function processGmailNotification(notification) {
+    const { emailAddress, historyId } = notification;
+
+    return runExclusive(emailAddress.toLowerCase(), () => syncMailbox(emailAddress, historyId));
+}
+
+module.exports = {
+    parseNotification,
+    processGmailNotification
+};
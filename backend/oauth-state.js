@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createEncryptedToken, decryptToken } = require('./signed-links');
+const { claimOAuthState } = require('./database');
+
+// 'session' (default) keeps the handshake in the session store,
+// 'signed' carries it in an encrypted state parameter so no shared store is needed
+const OAUTH_STATE_MODE = process.env.OAUTH_STATE_MODE || 'session';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+const BINDING_COOKIE = 'oauth_state_nonce';
+
+/**
+ * Read a cookie from the request headers
+ */
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Options for the cookie binding a signed state to this browser
+ */
+function bindingCookieOptions() {
+    return {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax', // Sent on the top-level redirect back from Google
+        path: '/auth'
+    };
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ */
+function generatePkcePair() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Start an OAuth handshake, remembering data for the callback
+ * Returns the state, OpenID nonce and PKCE challenge to send to Google
+ */
+function createOAuthState(req, res, data) {
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const stateData = { ...data, stateId: uuidv4(), codeVerifier, nonce };
+
+    if (OAUTH_STATE_MODE === 'signed') {
+        const binding = crypto.randomBytes(16).toString('base64url');
+        res.cookie(BINDING_COOKIE, binding, { ...bindingCookieOptions(), maxAge: OAUTH_STATE_TTL_SECONDS * 1000 });
+
+        return {
+            state: createEncryptedToken({ ...stateData, binding }, OAUTH_STATE_TTL_SECONDS),
+            nonce,
+            codeChallenge
+        };
+    }
+
+    req.session.oauthRequest = {
+        ...stateData,
+        expiresAt: Date.now() + OAUTH_STATE_TTL_SECONDS * 1000
+    };
+
+    return { state: stateData.stateId, nonce, codeChallenge };
+}
+
+/**
+ * Finish an OAuth handshake, returning the data stored by createOAuthState
+ * along with its codeVerifier and nonce
+ * Returns null if the state is missing, expired, already used or wasn't issued to this browser
+ */
+async function consumeOAuthState(req, res, state) {
+    if (!state) {
+        return null;
+    }
+
+    if (OAUTH_STATE_MODE === 'signed') {
+        const binding = readCookie(req, BINDING_COOKIE);
+        res.clearCookie(BINDING_COOKIE, bindingCookieOptions());
+
+        const payload = decryptToken(state);
+        if (!payload || !binding || payload.binding !== binding) {
+            return null;
+        }
+
+        // Nothing server-side tracks a signed state, so record its use
+        if (!await claimOAuthState(payload.stateId, new Date(payload.exp * 1000))) {
+            console.warn(`Rejected reused OAuth state ${payload.stateId}`);
+            return null;
+        }
+
+        const { binding: _binding, exp: _exp, ...data } = payload;
+        return data;
+    }
+
+    // Removing the handshake from the session makes the state single use
+    const oauthRequest = req.session.oauthRequest;
+    if (!oauthRequest || oauthRequest.stateId !== state) {
+        return null;
+    }
+    delete req.session.oauthRequest;
+
+    if (oauthRequest.expiresAt < Date.now()) {
+        return null;
+    }
+
+    const { expiresAt: _expiresAt, ...data } = oauthRequest;
+    return data;
+}
+
+module.exports = {
+    createOAuthState,
+    consumeOAuthState,
+    OAUTH_STATE_MODE
+};
@@ -0,0 +1,111 @@
+const { getClientById, deleteClient, tombstoneClient, purgeClientData } = require('./database');
+const { stopGmailWatch, deletePubSubTopic, PUBSUB_TOPIC_PREFIX, PUBSUB_SHARED_TOPIC } = require('./gmail-watch');
+const { createOAuth2Client } = require('./token-manager');
+const { deleteClientAttachments } = require('./attachments');
+const { sendClientEventWebhook } = require('./webhook');
+const { notifyStatusChange } = require('./client-status');
+const { recordAudit } = require('./audit');
+
+// 'tombstone' keeps the record without tokens, 'delete' removes it entirely
+const CLIENT_OFFBOARDING_MODE = process.env.CLIENT_OFFBOARDING_MODE || 'tombstone';
+
+/**
+ * Run one offboarding step, logging a failure instead of aborting the rest
+ */
+async function runStep(clientId, name, step) {
+    try {
+        return await step();
+    } catch (error) {
+        console.error(`Offboarding step "${name}" failed for client ${clientId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Disconnect a client: stop its watch, revoke its grant, delete its topic,
+ * purge stored data and remove or tombstone its record
+ * Steps that talk to Google are best effort, since the user may already have revoked access
+ */
+async function disconnectClient(clientId, { disconnectedBy, reason } = {}) {
+    const client = await getClientById(clientId);
+    if (!client || client.status === 'disconnected') {
+        throw new Error('Client not found');
+    }
+
+    console.log(`Disconnecting client ${clientId} (${client.gmailAddress})`);
+
+    const watchStopped = client.watchData
+        ? await runStep(clientId, 'stop watch', async () => {
+            await stopGmailWatch(clientId);
+            return true;
+        })
+        : false;
+
+    // Revoking the refresh token ends the whole grant, including access tokens
+    const grantToken = client.tokens?.refresh_token || client.tokens?.access_token;
+    const tokenRevoked = grantToken
+        ? await runStep(clientId, 'revoke token', async () => {
+            await createOAuth2Client().revokeToken(grantToken);
+            return true;
+        })
+        : false;
+
+    // Only topics created for this client; the shared topic serves everyone
+    const topicName = client.watchData?.topicName;
+    const topicDeleted = topicName && topicName !== PUBSUB_SHARED_TOPIC && topicName.startsWith(PUBSUB_TOPIC_PREFIX)
+        ? await runStep(clientId, 'delete topic', () => deletePubSubTopic(topicName))
+        : false;
+
+    const purged = await purgeClientData(clientId);
+    await deleteClientAttachments(clientId);
+
+    // A deleted record has no status left to change; client_disconnected covers it
+    if (CLIENT_OFFBOARDING_MODE === 'delete') {
+        await deleteClient(clientId);
+    } else {
+        const statusChange = await tombstoneClient(clientId, { disconnectedBy, reason });
+        if (statusChange) {
+            notifyStatusChange(statusChange);
+        }
+    }
+
+    const result = {
+        clientId,
+        gmailAddress: client.gmailAddress,
+        watchStopped,
+        tokenRevoked,
+        topicDeleted,
+        purged,
+        record: CLIENT_OFFBOARDING_MODE === 'delete' ? 'deleted' : 'tombstoned',
+        disconnectedBy: disconnectedBy || null,
+        reason: reason || null,
+        disconnectedAt: new Date()
+    };
+
+    await recordAudit({
+        action: 'client.disconnected',
+        clientId,
+        // Admin disconnects are attributed to the API key making the request
+        actor: disconnectedBy === 'self-service' ? `user:${client.gmailAddress}` : null,
+        details: {
+            watchStopped,
+            tokenRevoked,
+            topicDeleted,
+            record: result.record,
+            disconnectedBy: result.disconnectedBy,
+            reason: result.reason
+        }
+    });
+
+    sendClientEventWebhook('client_disconnected', result).catch(err => {
+        console.error('Failed to send client disconnected webhook:', err);
+    });
+
+    console.log(`Client ${clientId} disconnected`);
+
+    return result;
+}
+
+module.exports = {
+    disconnectClient
+};
@@ -0,0 +1,28 @@
+/**
+ * Delete audit events older than AUDIT_RETENTION_DAYS
+ *
+ * With Firestore, a TTL policy on auditLog.expiresAt does this automatically;
+ * run this (e.g. from Cloud Scheduler) where no TTL policy is configured,
+ * or after lowering the retention period.
+ *
+ * Usage:
+ *   npm run prune:audit
+ */
+
+require('dotenv').config();
+const { pruneAuditEvents, AUDIT_RETENTION_DAYS } = require('./database');
+
+async function prune() {
+    const before = new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    console.log(`Deleting audit events recorded before ${before.toISOString()} (${AUDIT_RETENTION_DAYS} day retention)`);
+
+    const deleted = await pruneAuditEvents(before);
+
+    console.log(`Pruning complete: ${deleted} event(s) deleted`);
+}
+
+prune().catch(error => {
+    console.error('Pruning failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { OAuth2Client } = require('google-auth-library');
+
+// 'oidc' verifies the Google-signed bearer token Pub/Sub attaches to push requests,
+// 'token' compares a shared verification token passed as ?token= on the push endpoint
+const PUBSUB_AUTH_MODE = process.env.PUBSUB_AUTH_MODE || 'oidc';
+const PUBSUB_AUDIENCE = process.env.PUBSUB_AUDIENCE;
+const PUBSUB_SERVICE_ACCOUNT_EMAIL = process.env.PUBSUB_SERVICE_ACCOUNT_EMAIL;
+const PUBSUB_VERIFICATION_TOKEN = process.env.PUBSUB_VERIFICATION_TOKEN;
+
+// JSON file mapping key ids to PEM certificates, used instead of Google's
+// public keys so tokens signed locally can be verified during testing
+const PUBSUB_TEST_CERTS_FILE = process.env.PUBSUB_TEST_CERTS_FILE;
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+const verifier = new OAuth2Client();
+
+let testCerts = null;
+
+/**
+ * Load the local test key set, if one is configured
+ */
+function getTestCerts() {
+    if (!PUBSUB_TEST_CERTS_FILE) {
+        return null;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        console.warn('WARNING: PUBSUB_TEST_CERTS_FILE is ignored in production');
+        return null;
+    }
+
+    if (!testCerts) {
+        testCerts = JSON.parse(fs.readFileSync(PUBSUB_TEST_CERTS_FILE, 'utf8'));
+    }
+
+    return testCerts;
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify the OIDC token and return its payload
+ * Signature, expiry, audience and issuer are checked by google-auth-library
+ */
+async function verifyOidcToken(idToken) {
+    if (!PUBSUB_AUDIENCE || !PUBSUB_SERVICE_ACCOUNT_EMAIL) {
+        throw new Error('PUBSUB_AUDIENCE and PUBSUB_SERVICE_ACCOUNT_EMAIL must be configured');
+    }
+
+    const certs = getTestCerts();
+    const ticket = certs
+        ? await verifier.verifySignedJwtWithCertsAsync(idToken, certs, PUBSUB_AUDIENCE, GOOGLE_ISSUERS)
+        : await verifier.verifyIdToken({ idToken, audience: PUBSUB_AUDIENCE });
+
+    const payload = ticket.getPayload();
+
+    if (payload.email !== PUBSUB_SERVICE_ACCOUNT_EMAIL || !payload.email_verified) {
+        throw new Error(`Unexpected service account: ${payload.email}`);
+    }
+
+    return payload;
+}
+
+/**
+ * Express middleware rejecting push requests that don't come from our Pub/Sub subscription
+ */
+async function verifyPubSubPush(req, res, next) {
+    try {
+        if (PUBSUB_AUTH_MODE === 'token') {
+            if (!PUBSUB_VERIFICATION_TOKEN) {
+                throw new Error('PUBSUB_VERIFICATION_TOKEN must be configured');
+            }
+
+            if (!req.query.token || !safeEqual(req.query.token, PUBSUB_VERIFICATION_TOKEN)) {
+                throw new Error('Invalid verification token');
+            }
+
+            return next();
+        }
+
+        const [scheme, idToken] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !idToken) {
+            throw new Error('Missing bearer token');
+        }
+
+        req.pubsubToken = await verifyOidcToken(idToken);
+        next();
+    } catch (error) {
+        console.warn('Rejected Pub/Sub push request:', error.message);
+        res.status(401).json({ error: 'Unauthorized' });
+    }
+}
+
+module.exports = {
+    verifyPubSubPush
+};
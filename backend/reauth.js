@@ -0,0 +1,81 @@
+const { getClientById } = require('./database');
+const { sendClientEventWebhook } = require('./webhook');
+const { transitionClient } = require('./client-status');
+const { buildAppUrl, createSignedToken } = require('./signed-links');
+
+const RECONNECT_LINK_TTL_HOURS = parseInt(process.env.RECONNECT_LINK_TTL_HOURS, 10) || 168;
+
+/**
+ * Check whether an error means the user's grant was revoked or expired
+ * Google rejects the refresh token with invalid_grant in that case
+ */
+function isInvalidGrantError(error) {
+    return error?.response?.data?.error === 'invalid_grant' || error?.message === 'invalid_grant';
+}
+
+/**
+ * Create a signed link that sends a client straight back through OAuth
+ */
+function createReconnectUrl(clientId) {
+    const token = createSignedToken({ purpose: 'reconnect', clientId }, RECONNECT_LINK_TTL_HOURS * 60 * 60);
+    return buildAppUrl(`/auth/reconnect/${encodeURIComponent(token)}`);
+}
+
+/**
+ * Mark a client as needing re-authentication and notify n8n with a reconnect link
+ * Only the first failure sends the event; later ones find the status already set
+ */
+async function flagClientNeedsReauth(clientId, error) {
+    const client = await getClientById(clientId);
+    if (!client || client.status === 'needs_reauth') {
+        return false;
+    }
+
+    // Another failure may have flagged the client since it was read
+    const change = await transitionClient(clientId, 'needs_reauth', { reason: error.message, actor: 'system' });
+    if (!change) {
+        return false;
+    }
+
+    console.warn(`Client ${clientId} needs to re-authenticate: ${error.message}`);
+
+    const reconnectUrl = createReconnectUrl(clientId);
+
+    sendClientEventWebhook('client_auth_lost', {
+        clientId,
+        gmailAddress: client.gmailAddress,
+        email: client.email,
+        name: client.name,
+        reason: error.message,
+        reconnectUrl,
+        reconnectUrlExpiresAt: new Date(Date.now() + RECONNECT_LINK_TTL_HOURS * 60 * 60 * 1000)
+    }).catch(err => {
+        console.error('Failed to send auth lost webhook:', err);
+    });
+
+    return true;
+}
+
+/**
+ * Flag the client if an error is an invalid_grant failure
+ * Returns whether it was one; errors from flagging are logged so they don't hide the original error
+ */
+async function handleAuthError(clientId, error) {
+    if (!isInvalidGrantError(error)) {
+        return false;
+    }
+
+    try {
+        await flagClientNeedsReauth(clientId, error);
+    } catch (err) {
+        console.error(`Failed to flag client ${clientId} for re-authentication:`, err);
+    }
+    return true;
+}
+
+module.exports = {
+    isInvalidGrantError,
+    createReconnectUrl,
+    flagClientNeedsReauth,
+    handleAuthError
+};
@@ -0,0 +1,67 @@
+/**
+ * Re-encrypt every client's stored tokens with the newest encryption key
+ *
+ * Run after adding a key to the front of ENCRYPTION_KEYS, or after first
+ * configuring a key, then remove old keys once no record uses them.
+ * Each client is re-encrypted in its own transaction, so tokens the app
+ * refreshes meanwhile are kept, and a record that can't be decrypted is
+ * reported without stopping the run.
+ *
+ * Usage:
+ *   npm run reencrypt:tokens [-- --dry-run]
+ */
+
+require('dotenv').config();
+const { listClients, reencryptClientTokens } = require('./database');
+const { ENCRYPTION_PRIMARY_KEY_ID } = require('./encryption');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+const PAGE_SIZE = 200;
+
+async function reencrypt() {
+    if (!ENCRYPTION_PRIMARY_KEY_ID) {
+        throw new Error('Set ENCRYPTION_KEYS before re-encrypting');
+    }
+
+    let total = 0;
+    let updated = 0;
+    const failures = [];
+
+    // Listing doesn't decrypt, so a bad record only fails its own re-encryption
+    let cursor = null;
+    do {
+        const page = await listClients({}, { limit: PAGE_SIZE, cursor });
+
+        for (const client of page.clients) {
+            total++;
+            try {
+                if (await reencryptClientTokens(client.clientId, { dryRun: DRY_RUN })) {
+                    updated++;
+                }
+            } catch (error) {
+                failures.push({ clientId: client.clientId, gmailAddress: client.gmailAddress, error: error.message });
+            }
+        }
+
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    for (const failure of failures) {
+        console.error(`Failed to re-encrypt ${failure.clientId} (${failure.gmailAddress}): ${failure.error}`);
+    }
+
+    const outcome = DRY_RUN ? 'would be re-encrypted' : 're-encrypted';
+    console.log(`Re-encryption complete: ${updated} of ${total} client(s) ${outcome} with key "${ENCRYPTION_PRIMARY_KEY_ID}", `
+        + `${failures.length} failed`);
+
+    if (failures.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+reencrypt().catch(error => {
+    console.error('Re-encryption failed:', error.message);
+    process.exitCode = 1;
+});
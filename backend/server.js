@@ -8,11 +8,28 @@ const path = require('path');
 
 const authRoutes = require('./auth');
 const webhookRoutes = require('./webhook');
+const attachmentRoutes = require('./attachments');
+const gmailSendRoutes = require('./gmail-send');
+const gmailDraftRoutes = require('./gmail-drafts');
+const gmailLabelRoutes = require('./gmail-labels');
+const approvalRoutes = require('./approvals');
+const credentialRoutes = require('./credentials');
+const adminRoutes = require('./admin');
+const clientRoutes = require('./clients');
 const { setupGmailWatch } = require('./gmail-watch');
+const { getClientById, updateWatchFilter } = require('./database');
+const { requireScope } = require('./api-auth');
+const { createSessionStore } = require('./session-store');
+const { parseNotification, processGmailNotification } = require('./notification-processor');
+const { verifyPubSubPush } = require('./pubsub-auth');
+const { requestContextMiddleware } = require('./audit');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Give every request an id (X-Request-Id) so its audit events can be traced
+app.use(requestContextMiddleware);
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -40,11 +57,18 @@ const limiter = rateLimit({
 app.use('/auth', limiter);
 
 // Body parsing middleware
+// Outgoing messages can carry attachments, so Gmail routes accept larger bodies
+app.use('/gmail', express.json({ limit: '35mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Cloud Run terminates TLS at its proxy; trust it so secure cookies are set
+app.set('trust proxy', 1);
+
 // Session configuration
+// Sessions only hold the OAuth handshake; use a shared store when running more than one instance
 app.use(session({
+    store: createSessionStore(),
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -66,9 +90,18 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/auth', authRoutes);
 app.use('/webhook', webhookRoutes);
+app.use('/attachments', attachmentRoutes);
+app.use('/gmail', gmailSendRoutes);
+app.use('/gmail', gmailDraftRoutes);
+app.use('/gmail', gmailLabelRoutes);
+app.use('/approvals', approvalRoutes);
+app.use('/credentials', credentialRoutes);
+// Client records only need the clients:read / clients:write scopes, so they're mounted ahead of the admin routes
+app.use('/admin/clients', clientRoutes);
+app.use('/admin', adminRoutes);
 
 // Gmail watch endpoints
-app.post('/gmail/watch/setup', async (req, res) => {
+app.post('/gmail/watch/setup', requireScope('watch:write'), async (req, res) => {
     try {
         const { clientId } = req.body;
 
@@ -92,8 +125,48 @@ app.post('/gmail/watch/setup', async (req, res) => {
     }
 });
 
+// Change which labels a client's Gmail watch covers and re-issue the watch
+app.put('/gmail/watch/filter', requireScope('watch:write'), async (req, res) => {
+    try {
+        const { clientId, labelIds, labelFilterAction = 'include' } = req.body;
+
+        if (!clientId) {
+            return res.status(400).json({ error: 'Client ID is required' });
+        }
+        if (!Array.isArray(labelIds) || labelIds.length === 0 || !labelIds.every(id => typeof id === 'string')) {
+            return res.status(400).json({ error: 'labelIds must be a non-empty array of label IDs' });
+        }
+        if (!['include', 'exclude'].includes(labelFilterAction)) {
+            return res.status(400).json({ error: "labelFilterAction must be 'include' or 'exclude'" });
+        }
+
+        const client = await getClientById(clientId);
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const watchFilter = { labelIds, labelFilterAction };
+        await updateWatchFilter(clientId, watchFilter);
+
+        const watchData = await setupGmailWatch(clientId);
+        res.status(200).json({
+            success: true,
+            message: 'Gmail watch filter updated',
+            watchFilter,
+            data: watchData
+        });
+    } catch (error) {
+        console.error('Error updating Gmail watch filter:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update Gmail watch filter',
+            message: error.message
+        });
+    }
+});
+
 // Pub/Sub push notification endpoint for Gmail watch
-app.post('/pubsub/push', express.json(), async (req, res) => {
+app.post('/pubsub/push', verifyPubSubPush, express.json(), async (req, res) => {
     try {
         const message = req.body.message;
 
@@ -102,16 +175,12 @@ app.post('/pubsub/push', express.json(), async (req, res) => {
         }
 
         // Decode the Pub/Sub message
-        const data = Buffer.from(message.data, 'base64').toString();
-        const notification = JSON.parse(data);
+        const notification = parseNotification(message.data);
 
         console.log('Received Gmail notification:', notification);
 
-        // Process the notification (implement your logic here)
-        // You might want to:
-        // 1. Fetch the new messages using the historyId
-        // 2. Send them to n8n for processing
-        // 3. Update your database
+        // Fetch new messages since the last historyId and send them to n8n
+        await processGmailNotification(notification);
 
         // Acknowledge the message
         res.status(200).send('OK');
@@ -130,6 +199,18 @@ app.get('/success', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/success.html'));
 });
 
+app.get('/approve', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/approval.html'));
+});
+
+app.get('/disconnect', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/disconnect.html'));
+});
+
+app.get('/permissions', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/permissions.html'));
+});
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({ error: 'Not found' });
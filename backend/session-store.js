@@ -0,0 +1,63 @@
+const session = require('express-session');
+const { getSession, saveSession, touchSession, deleteSession } = require('./database');
+
+// 'memory' (default, single instance only) or 'firestore'
+const SESSION_STORE = process.env.SESSION_STORE || 'memory';
+const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Work out when a session expires from its cookie
+ */
+function getExpiry(sessionData) {
+    const expires = sessionData?.cookie?.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_SESSION_TTL_MS);
+}
+
+/**
+ * express-session store backed by Firestore, so every instance sees the same sessions
+ */
+class FirestoreSessionStore extends session.Store {
+    get(sessionId, callback) {
+        getSession(sessionId)
+            .then(sessionData => callback(null, sessionData))
+            .catch(callback);
+    }
+
+    set(sessionId, sessionData, callback) {
+        saveSession(sessionId, sessionData, getExpiry(sessionData))
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    touch(sessionId, sessionData, callback) {
+        touchSession(sessionId, getExpiry(sessionData))
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    destroy(sessionId, callback) {
+        deleteSession(sessionId)
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE
+ * Returns undefined for the default in-memory store
+ */
+function createSessionStore() {
+    if (SESSION_STORE === 'firestore') {
+        return new FirestoreSessionStore();
+    }
+
+    if (process.env.NODE_ENV === 'production' && process.env.OAUTH_STATE_MODE !== 'signed') {
+        console.warn('WARNING: Using the in-memory session store. Set SESSION_STORE=firestore or OAUTH_STATE_MODE=signed when running more than one instance.');
+    }
+    return undefined;
+}
+
+module.exports = {
+    createSessionStore,
+    FirestoreSessionStore
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+const SIGNING_SECRET = process.env.SIGNING_SECRET || process.env.SESSION_SECRET;
+
+/**
+ * Build an absolute URL to this app
+ * Uses APP_BASE_URL, or the origin of the OAuth redirect URI if that isn't set
+ */
+function buildAppUrl(pathname) {
+    const baseUrl = process.env.APP_BASE_URL
+        || (process.env.GOOGLE_REDIRECT_URI ? new URL(process.env.GOOGLE_REDIRECT_URI).origin : 'http://localhost:8080');
+
+    return new URL(pathname, baseUrl).toString();
+}
+
+/**
+ * HMAC a token body with the signing secret
+ */
+function sign(body) {
+    if (!SIGNING_SECRET) {
+        throw new Error('SIGNING_SECRET or SESSION_SECRET must be set to create signed links');
+    }
+
+    return crypto.createHmac('sha256', SIGNING_SECRET).update(body).digest('base64url');
+}
+
+/**
+ * Derive the AES key for encrypted tokens from the signing secret
+ */
+function getEncryptionKey() {
+    if (!SIGNING_SECRET) {
+        throw new Error('SIGNING_SECRET or SESSION_SECRET must be set to create signed links');
+    }
+
+    return Buffer.from(crypto.hkdfSync('sha256', SIGNING_SECRET, '', 'encrypted-token', 32));
+}
+
+/**
+ * Create a URL-safe token carrying a payload that expires after the given number of seconds
+ */
+function createSignedToken(payload, expiresInSeconds) {
+    const body = Buffer.from(JSON.stringify({
+        ...payload,
+        exp: Math.floor(Date.now() / 1000) + expiresInSeconds
+    })).toString('base64url');
+
+    return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a signed token and return its payload, or null if it is invalid or expired
+ */
+function verifySignedToken(token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+
+    return payload;
+}
+
+/**
+ * Create a URL-safe token like createSignedToken, but with the payload
+ * encrypted (AES-256-GCM) so it can carry personal data through the browser
+ */
+function createEncryptedToken(payload, expiresInSeconds) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+
+    const ciphertext = Buffer.concat([
+        cipher.update(JSON.stringify({
+            ...payload,
+            exp: Math.floor(Date.now() / 1000) + expiresInSeconds
+        })),
+        cipher.final()
+    ]);
+
+    return [iv, ciphertext, cipher.getAuthTag()].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt an encrypted token and return its payload, or null if it is invalid or expired
+ */
+function decryptToken(token) {
+    const [iv, ciphertext, authTag] = String(token || '').split('.').map(part => Buffer.from(part, 'base64url'));
+    if (!iv || !ciphertext || !authTag || iv.length !== 12 || authTag.length !== 16) {
+        return null;
+    }
+
+    let payload;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+        decipher.setAuthTag(authTag);
+        payload = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString());
+    } catch (error) {
+        return null;
+    }
+
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+
+    return payload;
+}
+
+module.exports = {
+    buildAppUrl,
+    createSignedToken,
+    verifySignedToken,
+    createEncryptedToken,
+    decryptToken
+};
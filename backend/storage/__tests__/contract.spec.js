@@ -0,0 +1,671 @@
+/**
+ * Behaviour every storage backend must share
+ * Runs against the memory backend, and against Firestore when FIRESTORE_EMULATOR_HOST is set:
+ *   gcloud emulators firestore start --host-port=localhost:8086
+ *   FIRESTORE_EMULATOR_HOST=localhost:8086 npm test
+ */
+process.env.ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.FIRESTORE_PROJECT_ID = process.env.FIRESTORE_PROJECT_ID || 'demo-storage-contract';
+
+const { v4: uuidv4 } = require('uuid');
+const { STORAGE_FUNCTIONS } = require('..');
+const { MESSAGE_CLAIM_TIMEOUT_MS, PROCESSED_MESSAGE_TTL_DAYS } = require('../shared');
+
+// Backends encrypt with the key ring of mockKeyRing.current, so a test can
+// store tokens under an old ring and then rotate to a new one
+const mockKeyRing = { current: null };
+jest.mock('../../encryption', () => {
+    const delegate = name => (...args) => mockKeyRing.current[name](...args);
+    return {
+        encrypt: delegate('encrypt'),
+        decrypt: delegate('decrypt'),
+        encryptTokens: delegate('encryptTokens'),
+        decryptTokens: delegate('decryptTokens'),
+        isEncryptedWithPrimaryKey: delegate('isEncryptedWithPrimaryKey'),
+        get ENCRYPTION_PRIMARY_KEY_ID() {
+            return mockKeyRing.current.ENCRYPTION_PRIMARY_KEY_ID;
+        }
+    };
+});
+
+function loadKeyRing(keys) {
+    const previous = process.env.ENCRYPTION_KEYS;
+    let encryption;
+    jest.isolateModules(() => {
+        process.env.ENCRYPTION_KEYS = keys;
+        encryption = jest.requireActual('../../encryption');
+    });
+    process.env.ENCRYPTION_KEYS = previous;
+    return encryption;
+}
+
+const TEST_KEY_RING = loadKeyRing(process.env.ENCRYPTION_KEYS);
+const OLD_KEY = `old:${Buffer.alloc(32, 1).toString('base64')}`;
+const NEW_KEY = `new:${Buffer.alloc(32, 2).toString('base64')}`;
+mockKeyRing.current = TEST_KEY_RING;
+
+const BACKENDS = [
+    ['memory', () => require('../memory')],
+    ...(process.env.FIRESTORE_EMULATOR_HOST ? [['firestore', () => require('../firestore')]] : [])
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fake only the clock, so Firestore's own timers keep running
+const REAL_TIMERS = ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+    'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'];
+
+describe.each(BACKENDS)('%s storage', (name, load) => {
+    let storage;
+    // Keeps this run's records apart from earlier ones in a shared emulator
+    const runId = uuidv4().slice(0, 8);
+
+    /**
+     * Save a client with an ID unique to this run
+     */
+    async function createClient(overrides = {}) {
+        const client = {
+            clientId: `${runId}-${uuidv4()}`,
+            gmailAddress: `${uuidv4()}@example.com`,
+            name: 'Test Client',
+            company: `company-${runId}`,
+            registeredAt: new Date(),
+            tokens: { access_token: 'access', refresh_token: 'refresh', expiry_date: Date.now() + 3600000 },
+            ...overrides
+        };
+
+        await storage.saveClient(client);
+        return client;
+    }
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = load();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('implements every storage function', () => {
+        const missing = STORAGE_FUNCTIONS.filter(fn => typeof storage[fn] !== 'function');
+        expect(missing).toEqual([]);
+    });
+
+    describe('clients', () => {
+        test('stores tokens encrypted and returns them decrypted', async () => {
+            const client = await createClient();
+
+            const stored = await storage.getClientById(client.clientId);
+
+            expect(stored.tokens).toEqual(client.tokens);
+            expect(stored.status).toBe('pending_watch');
+            expect(stored.registeredAt.toMillis()).toBe(client.registeredAt.getTime());
+        });
+
+        test('returns null for an unknown client', async () => {
+            expect(await storage.getClientById(`${runId}-missing`)).toBeNull();
+        });
+
+        test('finds a client by Gmail address, returning the oldest of duplicate records', async () => {
+            const gmailAddress = `${runId}-duplicate@example.com`;
+            await createClient({ clientId: `${runId}-duplicate-b`, gmailAddress, registeredAt: new Date(Date.now() - DAY_MS) });
+            const older = await createClient({ clientId: `${runId}-duplicate-c`, gmailAddress, registeredAt: new Date(Date.now() - 2 * DAY_MS) });
+            // Same registration time as the older one, so the clientId decides
+            await createClient({ clientId: `${runId}-duplicate-d`, gmailAddress, registeredAt: older.registeredAt });
+
+            const found = await storage.getClientByGmail(gmailAddress);
+
+            expect(found.clientId).toBe(older.clientId);
+            expect(found.tokens).toEqual(older.tokens);
+        });
+
+        test('returns null for an unknown Gmail address', async () => {
+            expect(await storage.getClientByGmail(`${runId}-missing@example.com`)).toBeNull();
+        });
+    });
+
+    describe('getClientsWithExpiringWatches', () => {
+        test('returns watches expiring within the window, soonest first, with tokens decrypted', async () => {
+            const watchExpiringIn = hours => ({
+                watchData: { historyId: '1', expiration: new Date(Date.now() + hours * 60 * 60 * 1000), topicName: 't' }
+            });
+            const later = await createClient(watchExpiringIn(30));
+            const soonest = await createClient(watchExpiringIn(10));
+            const outside = await createClient(watchExpiringIn(100));
+            const withoutExpiry = await createClient({ watchData: { historyId: '1', topicName: 't' } });
+            const withoutWatch = await createClient();
+            const ids = [later, soonest, outside, withoutExpiry, withoutWatch].map(client => client.clientId);
+
+            const expiring = (await storage.getClientsWithExpiringWatches(48))
+                .filter(client => ids.includes(client.clientId));
+
+            expect(expiring.map(client => client.clientId)).toEqual([soonest.clientId, later.clientId]);
+            expect(expiring[0].tokens).toEqual(soonest.tokens);
+        });
+    });
+
+    describe('tombstoneClient', () => {
+        test('drops tokens and watch, keeps the record and records the status change once', async () => {
+            const { clientId, gmailAddress } = await createClient({
+                watchData: { historyId: '1', expiration: new Date(Date.now() + DAY_MS), topicName: 't' }
+            });
+
+            const change = await storage.tombstoneClient(clientId, { reason: 'user_request', disconnectedBy: 'user' });
+
+            expect(change).toMatchObject({ clientId, gmailAddress, from: 'pending_watch', to: 'disconnected', reason: 'user_request', actor: 'user' });
+            const stored = await storage.getClientById(clientId);
+            expect(stored).toMatchObject({ status: 'disconnected', tokens: null, watchData: null, disconnectedBy: 'user' });
+            expect(stored.disconnectedAt.toDate()).toBeInstanceOf(Date);
+
+            expect(await storage.tombstoneClient(clientId, { reason: 'again' })).toBeNull();
+            expect((await storage.getClientRecord(clientId)).statusHistory.map(entry => entry.to))
+                .toEqual(['pending_watch', 'disconnected']);
+        });
+
+        test('fails for an unknown client', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(storage.tombstoneClient(`${runId}-missing`)).rejects.toThrow('Failed to tombstone client');
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('purgeClientData', () => {
+        test('deletes only that client\'s ledger entries and pending replies', async () => {
+            const { clientId } = await createClient();
+            const other = await createClient();
+
+            await storage.claimMessage(clientId, 'msg-1');
+            await storage.markMessageProcessed(clientId, 'msg-1');
+            await storage.claimMessage(clientId, 'msg-2');
+            await storage.claimMessage(other.clientId, 'msg-1');
+            await storage.savePendingReply({ approvalId: `${clientId}-reply`, clientId });
+            await storage.savePendingReply({ approvalId: `${other.clientId}-reply`, clientId: other.clientId });
+
+            expect(await storage.purgeClientData(clientId)).toEqual({ processedMessages: 2, pendingReplies: 1 });
+
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(true);
+            expect(await storage.getPendingReply(`${clientId}-reply`)).toBeNull();
+            expect(await storage.claimMessage(other.clientId, 'msg-1')).toBe(false);
+            expect(await storage.getPendingReply(`${other.clientId}-reply`)).not.toBeNull();
+        });
+    });
+
+    describe('getStats', () => {
+        test('counts clients by registration, watch and status', async () => {
+            const before = await storage.getStats();
+
+            await createClient({
+                watchData: { historyId: '1', expiration: new Date(Date.now() + DAY_MS), topicName: 't' }
+            });
+            await createClient({
+                registeredAt: new Date(Date.now() - 3 * DAY_MS),
+                watchData: { historyId: '1', expiration: new Date(Date.now() - DAY_MS), topicName: 't' }
+            });
+            const { clientId } = await createClient({ registeredAt: new Date(Date.now() - 30 * DAY_MS) });
+            await storage.updateClientStatus(clientId, 'active', { reason: 'test' });
+
+            const after = await storage.getStats();
+
+            expect(after.totalClients - before.totalClients).toBe(3);
+            expect(after.registeredToday - before.registeredToday).toBe(1);
+            expect(after.registeredThisWeek - before.registeredThisWeek).toBe(2);
+            expect(after.activeWatches - before.activeWatches).toBe(1);
+            expect(after.byStatus.pending_watch - before.byStatus.pending_watch).toBe(2);
+            expect(after.byStatus.active - before.byStatus.active).toBe(1);
+        });
+    });
+
+    describe('reencryptClientTokens', () => {
+        afterEach(() => {
+            mockKeyRing.current = TEST_KEY_RING;
+        });
+
+        test('re-encrypts tokens with the newest key, then leaves them alone', async () => {
+            const { clientId, tokens } = await createClient();
+            mockKeyRing.current = loadKeyRing(OLD_KEY);
+            await storage.updateClientTokens(clientId, tokens);
+
+            mockKeyRing.current = loadKeyRing(`${NEW_KEY},${OLD_KEY}`);
+            expect(await storage.reencryptClientTokens(clientId, { dryRun: true })).toBe(true);
+            expect(await storage.reencryptClientTokens(clientId)).toBe(true);
+            expect(await storage.reencryptClientTokens(clientId)).toBe(false);
+
+            // The old key can be dropped once nothing uses it
+            mockKeyRing.current = loadKeyRing(NEW_KEY);
+            expect((await storage.getClientById(clientId)).tokens).toEqual(tokens);
+        });
+
+        test('leaves tokens already encrypted with the newest key alone', async () => {
+            const { clientId, tokens } = await createClient();
+            await storage.updateClientTokens(clientId, tokens);
+
+            expect(await storage.reencryptClientTokens(clientId)).toBe(false);
+            expect((await storage.getClientById(clientId)).tokens).toEqual(tokens);
+        });
+
+        test('skips a client without tokens', async () => {
+            const { clientId } = await createClient();
+            await storage.tombstoneClient(clientId, { reason: 'test' });
+
+            expect(await storage.reencryptClientTokens(clientId)).toBe(false);
+        });
+
+        test('fails for an unknown client', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(storage.reencryptClientTokens(`${runId}-missing`)).rejects.toThrow('Failed to re-encrypt tokens');
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('transactions', () => {
+        test('status changes are recorded once when made concurrently', async () => {
+            const { clientId } = await createClient();
+
+            const changes = await Promise.all([
+                storage.updateClientStatus(clientId, 'active', { reason: 'first', actor: 'test' }),
+                storage.updateClientStatus(clientId, 'active', { reason: 'second', actor: 'test' })
+            ]);
+
+            expect(changes.filter(Boolean)).toHaveLength(1);
+            const record = await storage.getClientRecord(clientId);
+            expect(record.status).toBe('active');
+            expect(record.statusHistory.map(entry => entry.to)).toEqual(['pending_watch', 'active']);
+        });
+
+        test('a disallowed status change throws and changes nothing', async () => {
+            const { clientId } = await createClient();
+            await storage.updateClientStatus(clientId, 'needs_reauth', { reason: 'invalid_grant' });
+
+            await expect(storage.updateClientStatus(clientId, 'active'))
+                .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+            expect((await storage.getClientRecord(clientId)).status).toBe('needs_reauth');
+        });
+
+        test('concurrent claims on a message let exactly one through', async () => {
+            const { clientId } = await createClient();
+
+            const claims = await Promise.all([
+                storage.claimMessage(clientId, 'msg-1'),
+                storage.claimMessage(clientId, 'msg-1'),
+                storage.claimMessage(clientId, 'msg-1')
+            ]);
+
+            expect(claims.filter(Boolean)).toHaveLength(1);
+        });
+    });
+
+    describe('updateHistoryId', () => {
+        test('only moves the checkpoint forward', async () => {
+            const { clientId } = await createClient();
+
+            expect(await storage.updateHistoryId(clientId, '100')).toBe(true);
+            expect(await storage.updateHistoryId(clientId, '99')).toBe(false);
+            expect(await storage.updateHistoryId(clientId, '100')).toBe(false);
+            expect(await storage.updateHistoryId(clientId, '101')).toBe(true);
+
+            expect((await storage.getClientById(clientId)).watchData.historyId).toBe('101');
+        });
+
+        test('compares historyIds beyond 2^53 exactly', async () => {
+            const { clientId } = await createClient();
+
+            await storage.updateHistoryId(clientId, '9007199254740993');
+
+            expect(await storage.updateHistoryId(clientId, '9007199254740992')).toBe(false);
+            expect(await storage.updateHistoryId(clientId, '10000000000000000000')).toBe(true);
+        });
+
+        test('keeps the highest historyId when updates race', async () => {
+            const { clientId } = await createClient();
+
+            await Promise.all(['105', '103', '104', '102'].map(historyId => storage.updateHistoryId(clientId, historyId)));
+
+            expect((await storage.getClientById(clientId)).watchData.historyId).toBe('105');
+        });
+
+        test('fails for an unknown client', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(storage.updateHistoryId(`${runId}-missing`, '1')).rejects.toThrow('Failed to update history ID');
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('updateWatchData', () => {
+        const watch = historyId => ({ historyId, expiration: new Date(Date.UTC(2024, 0, 8)), topicName: 'topic' });
+
+        test('starts the checkpoint of a client without one', async () => {
+            const { clientId } = await createClient();
+
+            expect(await storage.updateWatchData(clientId, watch('500'))).toEqual(watch('500'));
+            expect((await storage.getClientById(clientId)).watchData.historyId).toBe('500');
+        });
+
+        test('keeps a checkpoint advanced since the client was read', async () => {
+            const { clientId } = await createClient();
+            await storage.updateWatchData(clientId, watch('100'));
+            const staleClient = await storage.getClientById(clientId);
+
+            await storage.updateHistoryId(clientId, '150');
+            const stored = await storage.updateWatchData(clientId, watch(staleClient.watchData.historyId));
+
+            expect(stored.historyId).toBe('150');
+            const { watchData } = await storage.getClientById(clientId);
+            expect(watchData.historyId).toBe('150');
+            expect(watchData.topicName).toBe('topic');
+            expect(watchData.expiration.toMillis()).toBe(Date.UTC(2024, 0, 8));
+        });
+
+        test('clears the watch with null', async () => {
+            const { clientId } = await createClient();
+            await storage.updateWatchData(clientId, watch('100'));
+
+            await storage.updateWatchData(clientId, null);
+
+            expect((await storage.getClientById(clientId)).watchData).toBeNull();
+        });
+    });
+
+    describe('claimMessage', () => {
+        test('holds a claim until it times out', async () => {
+            const { clientId } = await createClient();
+            const start = Date.now();
+            jest.useFakeTimers({ now: start, doNotFake: REAL_TIMERS });
+
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(true);
+
+            jest.setSystemTime(start + MESSAGE_CLAIM_TIMEOUT_MS - 1000);
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(false);
+
+            // A worker that died mid-delivery doesn't block the message for good
+            jest.setSystemTime(start + MESSAGE_CLAIM_TIMEOUT_MS + 1000);
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(true);
+        });
+
+        test('skips a delivered message until its ledger entry expires', async () => {
+            const { clientId } = await createClient();
+            const start = Date.now();
+            jest.useFakeTimers({ now: start, doNotFake: REAL_TIMERS });
+
+            await storage.claimMessage(clientId, 'msg-1');
+            await storage.markMessageProcessed(clientId, 'msg-1');
+
+            jest.setSystemTime(start + PROCESSED_MESSAGE_TTL_DAYS * DAY_MS - 1000);
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(false);
+
+            jest.setSystemTime(start + PROCESSED_MESSAGE_TTL_DAYS * DAY_MS + 1000);
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(true);
+        });
+
+        test('can be claimed again once released', async () => {
+            const { clientId } = await createClient();
+
+            await storage.claimMessage(clientId, 'msg-1');
+            await storage.releaseMessageClaim(clientId, 'msg-1');
+
+            expect(await storage.claimMessage(clientId, 'msg-1')).toBe(true);
+        });
+
+        test('keeps claims per client and message', async () => {
+            const first = await createClient();
+            const second = await createClient();
+
+            await storage.claimMessage(first.clientId, 'msg-1');
+
+            expect(await storage.claimMessage(first.clientId, 'msg-2')).toBe(true);
+            expect(await storage.claimMessage(second.clientId, 'msg-1')).toBe(true);
+        });
+    });
+
+    describe('listClients', () => {
+        const company = `paged-${runId}`;
+        const base = Date.UTC(2024, 0, 1);
+        let clientIds;
+
+        beforeAll(async () => {
+            // Two clients share a registration time, so ties are broken by clientId
+            const registered = [0, 1, 1, 2, 3].map(day => new Date(base + day * DAY_MS));
+            const clients = [];
+            for (const [index, registeredAt] of registered.entries()) {
+                clients.push(await createClient({
+                    clientId: `${runId}-paged-${index}`,
+                    company,
+                    registeredAt,
+                    watchData: { historyId: '1', expiration: new Date(base + (10 - index) * DAY_MS), topicName: 't' }
+                }));
+            }
+            clientIds = clients.map(client => client.clientId);
+        });
+
+        /**
+         * Read every page of a listing, returning the pages' clientIds
+         */
+        async function readPages(filters, options) {
+            const pages = [];
+            let cursor = null;
+            do {
+                const page = await storage.listClients(filters, { ...options, cursor });
+                pages.push(page.clients.map(client => client.clientId));
+                cursor = page.nextCursor;
+            } while (cursor && pages.length < 10);
+            return pages;
+        }
+
+        test('pages newest registration first without repeating or skipping', async () => {
+            const pages = await readPages({ company }, { limit: 2 });
+
+            expect(pages).toEqual([
+                [clientIds[4], clientIds[3]],
+                [clientIds[2], clientIds[1]],
+                [clientIds[0]]
+            ]);
+        });
+
+        test('pages in ascending order', async () => {
+            const pages = await readPages({ company }, { order: 'asc', limit: 3 });
+
+            expect(pages.flat()).toEqual(clientIds);
+            expect(pages.map(page => page.length)).toEqual([3, 2]);
+        });
+
+        test('ends without a cursor when the last page is full', async () => {
+            const pages = await readPages({ company }, { limit: 5 });
+
+            expect(pages).toEqual([[...clientIds].reverse()]);
+        });
+
+        test('sorts and filters by watch expiry', async () => {
+            const pages = await readPages(
+                { company, watchExpiresBefore: new Date(base + 9 * DAY_MS) },
+                { sort: 'watchExpiration', order: 'asc', limit: 2 }
+            );
+
+            expect(pages).toEqual([[clientIds[4], clientIds[3]], [clientIds[2]]]);
+        });
+
+        test('returns summaries without tokens', async () => {
+            const { clients } = await storage.listClients({ company }, { limit: 1 });
+
+            expect(clients[0].tokens).toBeUndefined();
+            expect(clients[0]).toMatchObject({ clientId: clientIds[4], status: 'pending_watch', hasRefreshToken: true });
+        });
+
+        test('rejects a cursor from another sort or a made-up one', async () => {
+            const { nextCursor } = await storage.listClients({ company }, { limit: 1 });
+
+            await expect(storage.listClients({ company }, { sort: 'watchExpiration', cursor: nextCursor }))
+                .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+            await expect(storage.listClients({ company }, { cursor: 'not-a-cursor' }))
+                .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+        });
+
+        test('rejects a date range on a field it isn\'t sorted by', async () => {
+            await expect(storage.listClients({ watchExpiresBefore: new Date() }, { sort: 'registeredAt' }))
+                .rejects.toMatchObject({ code: 'INVALID_QUERY' });
+        });
+    });
+
+    describe('listAuditEvents', () => {
+        test('pages newest first', async () => {
+            const clientId = `${runId}-audited`;
+            const start = Date.now();
+            jest.useFakeTimers({ now: start, doNotFake: REAL_TIMERS });
+
+            const auditIds = [];
+            for (let i = 0; i < 3; i++) {
+                jest.setSystemTime(start + i * 1000);
+                auditIds.push(await storage.recordAuditEvent({ action: 'test.event', clientId, actor: 'test' }));
+            }
+
+            const first = await storage.listAuditEvents({ clientId }, { limit: 2 });
+            const second = await storage.listAuditEvents({ clientId }, { limit: 2, cursor: first.nextCursor });
+
+            expect(first.events.map(event => event.auditId)).toEqual([auditIds[2], auditIds[1]]);
+            expect(second.events.map(event => event.auditId)).toEqual([auditIds[0]]);
+            expect(second.nextCursor).toBeNull();
+        });
+    });
+
+    describe('pruneAuditEvents', () => {
+        test('deletes events recorded before the cutoff', async () => {
+            const clientId = `${runId}-pruned`;
+            const start = Date.now();
+            jest.useFakeTimers({ now: start - 10 * DAY_MS, doNotFake: REAL_TIMERS });
+
+            await storage.recordAuditEvent({ action: 'test.event', clientId, actor: 'test' });
+            await storage.recordAuditEvent({ action: 'test.event', clientId, actor: 'test' });
+            jest.setSystemTime(start);
+            const kept = await storage.recordAuditEvent({ action: 'test.event', clientId, actor: 'test' });
+
+            // Other runs against a shared emulator may leave old events too
+            expect(await storage.pruneAuditEvents(new Date(start - 5 * DAY_MS))).toBeGreaterThanOrEqual(2);
+
+            const { events } = await storage.listAuditEvents({ clientId });
+            expect(events.map(event => event.auditId)).toEqual([kept]);
+        });
+    });
+
+    describe('API keys', () => {
+        test('stores, lists newest first and updates key records', async () => {
+            const start = Date.now();
+            jest.useFakeTimers({ now: start, doNotFake: REAL_TIMERS });
+
+            const first = await storage.saveApiKey({ keyId: `${runId}-key-1`, name: 'first', keyHash: 'hash-1', scopes: ['clients:read'] });
+            jest.setSystemTime(start + 1000);
+            await storage.saveApiKey({ keyId: `${runId}-key-2`, name: 'second', keyHash: 'hash-2', scopes: [] });
+
+            expect(first).toMatchObject({ lastUsedAt: null, revokedAt: null });
+            expect(await storage.getApiKey(`${runId}-key-1`)).toMatchObject({
+                keyId: `${runId}-key-1`, keyHash: 'hash-1', scopes: ['clients:read'], revokedAt: null
+            });
+
+            const listed = (await storage.listApiKeys())
+                .map(key => key.keyId)
+                .filter(keyId => keyId.startsWith(`${runId}-key-`));
+            expect(listed).toEqual([`${runId}-key-2`, `${runId}-key-1`]);
+
+            const revokedAt = new Date(start + 2000);
+            await storage.updateApiKey(`${runId}-key-1`, { revokedAt });
+            expect((await storage.getApiKey(`${runId}-key-1`)).revokedAt.toMillis()).toBe(revokedAt.getTime());
+        });
+
+        test('returns null for an unknown key and fails to update it', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await storage.getApiKey(`${runId}-missing`)).toBeNull();
+            await expect(storage.updateApiKey(`${runId}-missing`, { revokedAt: new Date() }))
+                .rejects.toThrow('Failed to update API key');
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('sessions', () => {
+        test('returns a session until it expires, and extends it when touched', async () => {
+            const sessionId = `${runId}-session`;
+            const session = { cookie: { originalMaxAge: 60000 }, oauthState: 'state' };
+            const start = Date.now();
+            jest.useFakeTimers({ now: start, doNotFake: REAL_TIMERS });
+
+            await storage.saveSession(sessionId, session, new Date(start + 60000));
+            expect(await storage.getSession(sessionId)).toEqual(session);
+
+            await storage.touchSession(sessionId, new Date(start + 120000));
+            jest.setSystemTime(start + 90000);
+            expect(await storage.getSession(sessionId)).toEqual(session);
+
+            jest.setSystemTime(start + 120000);
+            expect(await storage.getSession(sessionId)).toBeNull();
+        });
+
+        test('deletes a session', async () => {
+            const sessionId = `${runId}-deleted-session`;
+            await storage.saveSession(sessionId, { user: 'test' }, new Date(Date.now() + 60000));
+
+            await storage.deleteSession(sessionId);
+
+            expect(await storage.getSession(sessionId)).toBeNull();
+            await expect(storage.deleteSession(sessionId)).resolves.toBe(true);
+        });
+
+        test('fails to touch an unknown session', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(storage.touchSession(`${runId}-missing`, new Date())).rejects.toThrow('Failed to touch session');
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('claimOAuthState', () => {
+        test('accepts each state once, even when claimed concurrently', async () => {
+            const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+
+            const claims = await Promise.all([
+                storage.claimOAuthState(`${runId}-state-1`, expiresAt),
+                storage.claimOAuthState(`${runId}-state-1`, expiresAt)
+            ]);
+
+            expect(claims.filter(Boolean)).toHaveLength(1);
+            expect(await storage.claimOAuthState(`${runId}-state-1`, expiresAt)).toBe(false);
+            expect(await storage.claimOAuthState(`${runId}-state-2`, expiresAt)).toBe(true);
+        });
+    });
+
+    describe('pending replies', () => {
+        test('are saved pending and decided exactly once', async () => {
+            const approvalId = `${runId}-approval`;
+            await storage.savePendingReply({ approvalId, clientId: `${runId}-client`, draftId: 'draft-1', subject: 'Re: Quote' });
+
+            const pending = await storage.getPendingReply(approvalId);
+            expect(pending).toMatchObject({ approvalId, draftId: 'draft-1', status: 'pending' });
+            expect(pending.createdAt.toDate()).toBeInstanceOf(Date);
+
+            const decisions = await Promise.all([
+                storage.recordReplyDecision(approvalId, 'approved', { decidedBy: 'link' }),
+                storage.recordReplyDecision(approvalId, 'discarded', { decidedBy: 'link' })
+            ]);
+            const [decided] = decisions.filter(Boolean);
+            expect(decisions.filter(Boolean)).toHaveLength(1);
+            expect(decided).toMatchObject({ approvalId, draftId: 'draft-1', decidedBy: 'link' });
+
+            await storage.updatePendingReply(approvalId, { sentMessageId: 'sent-1' });
+            expect(await storage.getPendingReply(approvalId)).toMatchObject({ status: decided.status, sentMessageId: 'sent-1' });
+        });
+
+        test('an unknown reply can\'t be decided or updated', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await storage.getPendingReply(`${runId}-missing`)).toBeNull();
+            expect(await storage.recordReplyDecision(`${runId}-missing`, 'approved')).toBeNull();
+            await expect(storage.updatePendingReply(`${runId}-missing`, { sentMessageId: 'sent-1' }))
+                .rejects.toThrow('Failed to update pending reply');
+            consoleError.mockRestore();
+        });
+    });
+});
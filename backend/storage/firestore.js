@@ -0,0 +1,1092 @@
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { encryptTokens, decryptTokens, isEncryptedWithPrimaryKey } = require('../encryption');
+const {
+    PROCESSED_MESSAGE_TTL_DAYS,
+    MESSAGE_CLAIM_TIMEOUT_MS,
+    compareHistoryIds,
+    compareByRegistration,
+    getClientStatus,
+    initialStatusFields,
+    planStatusChange,
+    summarizeClients,
+    CLIENT_RANGE_FILTERS,
+    getField,
+    toClientSummary,
+    getClientSortField,
+    encodeClientCursor,
+    decodeClientCursor,
+    createAuditRecord,
+    encodeAuditCursor,
+    decodeAuditCursor
+} = require('./shared');
+
+// Initialize Firestore
+const firestore = new Firestore({
+    projectId: process.env.FIRESTORE_PROJECT_ID,
+});
+
+const CLIENTS_COLLECTION = 'clients';
+const PROCESSED_MESSAGES_COLLECTION = 'processedMessages';
+const PENDING_REPLIES_COLLECTION = 'pendingReplies';
+const CREDENTIAL_AUDIT_COLLECTION = 'credentialAudit';
+const API_KEYS_COLLECTION = 'apiKeys';
+const SESSIONS_COLLECTION = 'sessions';
+const OAUTH_STATES_COLLECTION = 'oauthStates';
+const AUDIT_LOG_COLLECTION = 'auditLog';
+
+/**
+ * Save or update client in Firestore
+ * New clients start in pending_watch; an existing client's status is left to updateClientStatus
+ */
+async function saveClient(clientData) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientData.clientId);
+
+        await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(clientRef);
+
+            // Encrypt tokens before saving
+            const dataToSave = {
+                ...clientData,
+                ...(doc.exists ? {} : initialStatusFields({ reason: 'registered' })),
+                tokens: encryptTokens(clientData.tokens),
+                updatedAt: new Date()
+            };
+
+            transaction.set(clientRef, dataToSave, { merge: true });
+        });
+
+        console.log(`Client ${clientData.clientId} saved successfully`);
+
+        return clientData;
+    } catch (error) {
+        console.error('Error saving client to Firestore:', error);
+        throw new Error('Failed to save client data');
+    }
+}
+
+/**
+ * Get client by ID
+ */
+async function getClientById(clientId) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+        const doc = await clientRef.get();
+
+        if (!doc.exists) {
+            return null;
+        }
+
+        const data = doc.data();
+
+        // Decrypt tokens before returning
+        return {
+            ...data,
+            tokens: decryptTokens(data.tokens)
+        };
+    } catch (error) {
+        console.error('Error getting client from Firestore:', error);
+        throw new Error('Failed to retrieve client data');
+    }
+}
+
+/**
+ * Get client by Gmail address
+ * If earlier registrations left duplicates, the oldest record is returned
+ */
+async function getClientByGmail(gmailAddress) {
+    try {
+        const snapshot = await firestore.collection(CLIENTS_COLLECTION)
+            .where('gmailAddress', '==', gmailAddress)
+            .get();
+
+        if (snapshot.empty) {
+            return null;
+        }
+
+        const [data] = snapshot.docs
+            .map(doc => doc.data())
+            .sort(compareByRegistration);
+
+        // Decrypt tokens before returning
+        return {
+            ...data,
+            tokens: decryptTokens(data.tokens)
+        };
+    } catch (error) {
+        console.error('Error getting client by Gmail:', error);
+        throw new Error('Failed to retrieve client data');
+    }
+}
+
+/**
+ * Get all clients
+ */
+async function getAllClients() {
+    try {
+        const snapshot = await firestore.collection(CLIENTS_COLLECTION).get();
+
+        const clients = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            clients.push({
+                ...data,
+                tokens: decryptTokens(data.tokens)
+            });
+        });
+
+        return clients;
+    } catch (error) {
+        console.error('Error getting all clients:', error);
+        throw new Error('Failed to retrieve clients');
+    }
+}
+
+/**
+ * Get clients with the given status
+ * Filtered here rather than queried, so records from before statuses existed are included
+ */
+async function getClientsByStatus(status) {
+    try {
+        const snapshot = await firestore.collection(CLIENTS_COLLECTION).get();
+
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(data => getClientStatus(data) === status)
+            .map(data => ({
+                ...data,
+                tokens: decryptTokens(data.tokens)
+            }));
+    } catch (error) {
+        console.error('Error getting clients by status:', error);
+        throw new Error('Failed to retrieve clients');
+    }
+}
+
+/**
+ * List clients without decrypting their tokens, one page at a time
+ * Filters: status, company, and date ranges on registration or watch expiry (see CLIENT_RANGE_FILTERS)
+ * Sorting by watch expiry lists only clients with a watch
+ * Returns client summaries and the cursor for the next page, or null on the last one
+ */
+async function listClients(filters = {}, { sort = 'registeredAt', order = 'desc', limit = 50, cursor = null } = {}) {
+    try {
+        const sortField = getClientSortField(filters, sort);
+        let query = firestore.collection(CLIENTS_COLLECTION);
+
+        // Matches the stored status; run "npm run migrate:client-status" once for records from before statuses
+        if (filters.status) {
+            query = query.where('status', '==', filters.status);
+        }
+        if (filters.company) {
+            query = query.where('company', '==', filters.company);
+        }
+        for (const [name, range] of Object.entries(CLIENT_RANGE_FILTERS)) {
+            if (filters[name]) {
+                query = query.where(sortField, range.op, filters[name]);
+            }
+        }
+
+        query = query.orderBy(sortField, order).orderBy('clientId', order);
+
+        if (cursor) {
+            const position = decodeClientCursor(cursor, sort);
+            query = query.startAfter(position.value, position.clientId);
+        }
+
+        // One extra client tells us whether there is another page
+        const snapshot = await query.limit(limit + 1).get();
+        const page = snapshot.docs.slice(0, limit).map(doc => doc.data());
+
+        return {
+            clients: page.map(data => toClientSummary(data)),
+            nextCursor: snapshot.size > limit ? encodeClientCursor(page[page.length - 1], sort) : null
+        };
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_QUERY') {
+            throw error;
+        }
+        console.error('Error listing clients:', error);
+        throw new Error('Failed to retrieve clients');
+    }
+}
+
+/**
+ * Get a client's record with its status history, without its tokens
+ */
+async function getClientRecord(clientId) {
+    try {
+        const doc = await firestore.collection(CLIENTS_COLLECTION).doc(clientId).get();
+
+        return doc.exists ? toClientSummary(doc.data(), { includeHistory: true }) : null;
+    } catch (error) {
+        console.error('Error getting client record:', error);
+        throw new Error('Failed to retrieve client data');
+    }
+}
+
+/**
+ * Get clients with expiring watches, soonest first
+ * @param {number} hoursFromNow - Get watches expiring within this many hours
+ */
+async function getClientsWithExpiringWatches(hoursFromNow = 48) {
+    try {
+        const expirationThreshold = new Date();
+        expirationThreshold.setHours(expirationThreshold.getHours() + hoursFromNow);
+
+        const snapshot = await firestore.collection(CLIENTS_COLLECTION)
+            .where('watchData.expiration', '<=', expirationThreshold)
+            .orderBy('watchData.expiration')
+            .get();
+
+        const clients = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            clients.push({
+                ...data,
+                tokens: decryptTokens(data.tokens)
+            });
+        });
+
+        return clients;
+    } catch (error) {
+        console.error('Error getting clients with expiring watches:', error);
+        throw new Error('Failed to retrieve clients with expiring watches');
+    }
+}
+
+/**
+ * Update watch data for a client, or clear it with null
+ * The stored historyId is the processing checkpoint and only updateHistoryId moves it;
+ * the given historyId is used only when the client has none yet
+ * Returns the watch data as stored
+ */
+async function updateWatchData(clientId, watchData) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        // Read the checkpoint in the transaction, so one advanced meanwhile isn't overwritten
+        const stored = await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(clientRef);
+            if (!doc.exists) {
+                throw new Error('Client not found');
+            }
+
+            const updated = watchData && {
+                ...watchData,
+                historyId: doc.data().watchData?.historyId || watchData.historyId
+            };
+
+            transaction.update(clientRef, {
+                watchData: updated,
+                lastRenewed: new Date(),
+                updatedAt: new Date()
+            });
+
+            return updated;
+        });
+
+        console.log(`Watch data updated for client ${clientId}`);
+        return stored;
+    } catch (error) {
+        console.error('Error updating watch data:', error);
+        throw new Error('Failed to update watch data');
+    }
+}
+
+/**
+ * Update the label filter used for a client's Gmail watch
+ */
+async function updateWatchFilter(clientId, watchFilter) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        await clientRef.update({
+            watchFilter,
+            updatedAt: new Date()
+        });
+
+        console.log(`Watch filter updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating watch filter:', error);
+        throw new Error('Failed to update watch filter');
+    }
+}
+
+/**
+ * Advance the last processed Gmail historyId for a client
+ * The checkpoint only ever moves forward; returns false if it was already ahead
+ */
+async function updateHistoryId(clientId, historyId) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        return await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(clientRef);
+            if (!doc.exists) {
+                throw new Error('Client not found');
+            }
+
+            const currentHistoryId = doc.data().watchData?.historyId;
+            if (currentHistoryId && compareHistoryIds(historyId, currentHistoryId) <= 0) {
+                return false;
+            }
+
+            transaction.update(clientRef, {
+                'watchData.historyId': String(historyId),
+                updatedAt: new Date()
+            });
+
+            return true;
+        });
+    } catch (error) {
+        console.error('Error updating history ID:', error);
+        throw new Error('Failed to update history ID');
+    }
+}
+
+/**
+ * Ledger document for a client's Gmail message
+ */
+function processedMessageRef(clientId, messageId) {
+    return firestore.collection(PROCESSED_MESSAGES_COLLECTION).doc(`${clientId}_${messageId}`);
+}
+
+/**
+ * Claim a message for delivery
+ * Returns false if it was already delivered, or another worker is delivering it right now
+ */
+async function claimMessage(clientId, messageId) {
+    try {
+        const ledgerRef = processedMessageRef(clientId, messageId);
+
+        return await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ledgerRef);
+            const now = new Date();
+
+            if (doc.exists) {
+                const entry = doc.data();
+
+                if (entry.status === 'delivered' && entry.expiresAt.toDate() > now) {
+                    return false;
+                }
+
+                if (entry.status === 'processing' && now - entry.claimedAt.toDate() < MESSAGE_CLAIM_TIMEOUT_MS) {
+                    return false;
+                }
+            }
+
+            transaction.set(ledgerRef, {
+                clientId,
+                messageId,
+                status: 'processing',
+                claimedAt: now,
+                expiresAt: new Date(now.getTime() + PROCESSED_MESSAGE_TTL_DAYS * 24 * 60 * 60 * 1000)
+            });
+
+            return true;
+        });
+    } catch (error) {
+        console.error('Error claiming message:', error);
+        throw new Error('Failed to claim message');
+    }
+}
+
+/**
+ * Mark a claimed message as delivered
+ */
+async function markMessageProcessed(clientId, messageId) {
+    try {
+        await processedMessageRef(clientId, messageId).update({
+            status: 'delivered',
+            processedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error marking message processed:', error);
+        throw new Error('Failed to mark message processed');
+    }
+}
+
+/**
+ * Release a claim after a failed delivery so the message can be retried
+ */
+async function releaseMessageClaim(clientId, messageId) {
+    try {
+        await processedMessageRef(clientId, messageId).delete();
+        return true;
+    } catch (error) {
+        console.error('Error releasing message claim:', error);
+        throw new Error('Failed to release message claim');
+    }
+}
+
+/**
+ * Delete a client
+ */
+async function deleteClient(clientId) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+        await clientRef.delete();
+
+        console.log(`Client ${clientId} deleted successfully`);
+        return true;
+    } catch (error) {
+        console.error('Error deleting client:', error);
+        throw new Error('Failed to delete client');
+    }
+}
+
+/**
+ * Keep a disconnected client's record without its tokens or watch
+ * so it can be audited and reconnected later
+ */
+async function tombstoneClient(clientId, details = {}) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        const change = await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(clientRef);
+            if (!doc.exists) {
+                throw new Error('Client not found');
+            }
+
+            const plan = planStatusChange(doc.data(), 'disconnected', {
+                reason: details.reason || null,
+                actor: details.disconnectedBy || null
+            });
+
+            transaction.update(clientRef, {
+                ...plan?.updates,
+                tokens: FieldValue.delete(),
+                watchData: null,
+                disconnectedAt: new Date(),
+                disconnectedBy: details.disconnectedBy || null,
+                updatedAt: new Date()
+            });
+
+            return plan?.change || null;
+        });
+
+        console.log(`Client ${clientId} tombstoned`);
+        return change;
+    } catch (error) {
+        console.error('Error tombstoning client:', error);
+        throw new Error('Failed to tombstone client');
+    }
+}
+
+/**
+ * Delete every document in a collection belonging to a client
+ */
+async function deleteClientDocuments(collection, clientId) {
+    const snapshot = await firestore.collection(collection)
+        .where('clientId', '==', clientId)
+        .get();
+
+    // A batch holds at most 500 writes
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = firestore.batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+
+    return snapshot.size;
+}
+
+/**
+ * Delete a client's message ledger and pending replies
+ */
+async function purgeClientData(clientId) {
+    try {
+        const processedMessages = await deleteClientDocuments(PROCESSED_MESSAGES_COLLECTION, clientId);
+        const pendingReplies = await deleteClientDocuments(PENDING_REPLIES_COLLECTION, clientId);
+
+        console.log(`Purged data for client ${clientId}: ${processedMessages} ledger entries, ${pendingReplies} pending replies`);
+
+        return { processedMessages, pendingReplies };
+    } catch (error) {
+        console.error('Error purging client data:', error);
+        throw new Error('Failed to purge client data');
+    }
+}
+
+/**
+ * Update client tokens
+ */
+async function updateClientTokens(clientId, tokens) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        await clientRef.update({
+            tokens: encryptTokens(tokens),
+            updatedAt: new Date()
+        });
+
+        console.log(`Tokens updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating tokens:', error);
+        throw new Error('Failed to update tokens');
+    }
+}
+
+/**
+ * Re-encrypt a client's stored tokens with the newest key
+ * Reads and writes in one transaction, so tokens refreshed meanwhile aren't overwritten
+ * Returns false if there are no tokens or they already use the newest key;
+ * with dryRun, checks the tokens can be decrypted without writing them
+ */
+async function reencryptClientTokens(clientId, { dryRun = false } = {}) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        return await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(clientRef);
+            if (!doc.exists) {
+                throw new Error('Client not found');
+            }
+
+            const stored = doc.data().tokens;
+            if (!stored || isEncryptedWithPrimaryKey(stored)) {
+                return false;
+            }
+
+            const tokens = decryptTokens(stored);
+            if (!tokens.access_token) {
+                throw new Error('Stored tokens could not be decrypted');
+            }
+
+            if (!dryRun) {
+                transaction.update(clientRef, { tokens: encryptTokens(tokens), updatedAt: new Date() });
+            }
+            return true;
+        });
+    } catch (error) {
+        console.error(`Error re-encrypting tokens for ${clientId}:`, error);
+        throw new Error('Failed to re-encrypt tokens');
+    }
+}
+
+/**
+ * Update client settings, merging with the existing ones
+ */
+async function updateClientSettings(clientId, settings) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        const updates = { updatedAt: new Date() };
+        for (const [key, value] of Object.entries(settings)) {
+            updates[`settings.${key}`] = value;
+        }
+
+        await clientRef.update(updates);
+
+        console.log(`Settings updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating client settings:', error);
+        throw new Error('Failed to update client settings');
+    }
+}
+
+/**
+ * Update a client's name, company and settings
+ * Fields left undefined are unchanged; settings are merged with the existing ones
+ */
+async function updateClientProfile(clientId, { name, company, settings } = {}) {
+    try {
+        const updates = { updatedAt: new Date() };
+        if (name !== undefined) {
+            updates.name = name;
+        }
+        if (company !== undefined) {
+            updates.company = company;
+        }
+        for (const [key, value] of Object.entries(settings || {})) {
+            updates[`settings.${key}`] = value;
+        }
+
+        await firestore.collection(CLIENTS_COLLECTION).doc(clientId).update(updates);
+
+        console.log(`Profile updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating client profile:', error);
+        throw new Error('Failed to update client profile');
+    }
+}
+
+/**
+ * Move a client to a new status, recording the transition in its history
+ * Returns the change, or null if the client already had that status
+ * Throws an INVALID_STATUS_TRANSITION error if the transition isn't allowed
+ */
+async function updateClientStatus(clientId, status, { reason = null, actor = null } = {}) {
+    try {
+        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(clientId);
+
+        const change = await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(clientRef);
+            if (!doc.exists) {
+                throw new Error('Client not found');
+            }
+
+            const plan = planStatusChange(doc.data(), status, { reason, actor });
+            if (!plan) {
+                return null;
+            }
+
+            transaction.update(clientRef, plan.updates);
+            return plan.change;
+        });
+
+        if (change) {
+            console.log(`Client ${clientId} status changed from ${change.from} to ${status}`);
+        }
+        return change;
+    } catch (error) {
+        if (error.code === 'INVALID_STATUS_TRANSITION') {
+            throw error;
+        }
+        console.error('Error updating client status:', error);
+        throw new Error('Failed to update client status');
+    }
+}
+
+/**
+ * Store the status of clients saved before statuses existed, so queries on status find them
+ * Tokens are never read. Returns how many clients were checked and how many were backfilled
+ */
+async function backfillClientStatuses() {
+    try {
+        const snapshot = await firestore.collection(CLIENTS_COLLECTION).get();
+
+        let backfilled = 0;
+        for (const doc of snapshot.docs.filter(doc => !doc.data().status)) {
+            // Re-read in a transaction, since the status may have been set since the listing
+            const updated = await firestore.runTransaction(async (transaction) => {
+                const current = await transaction.get(doc.ref);
+                if (!current.exists || current.data().status) {
+                    return false;
+                }
+
+                transaction.update(doc.ref, initialStatusFields({
+                    status: getClientStatus(current.data()),
+                    reason: 'backfilled',
+                    actor: 'system'
+                }));
+                return true;
+            });
+
+            if (updated) {
+                backfilled++;
+            }
+        }
+
+        return { total: snapshot.size, backfilled };
+    } catch (error) {
+        console.error('Error backfilling client statuses:', error);
+        throw new Error('Failed to backfill client statuses');
+    }
+}
+
+/**
+ * Record that a client's access token was handed out
+ */
+async function recordCredentialIssuance(entry) {
+    try {
+        await firestore.collection(CREDENTIAL_AUDIT_COLLECTION).add({
+            ...entry,
+            issuedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error recording credential issuance:', error);
+        throw new Error('Failed to record credential issuance');
+    }
+}
+
+/**
+ * Append an event to the audit log
+ */
+async function recordAuditEvent(event) {
+    try {
+        const auditRef = firestore.collection(AUDIT_LOG_COLLECTION).doc();
+
+        // Firestore TTL policy on expiresAt removes events after the retention period
+        await auditRef.create(createAuditRecord(auditRef.id, event));
+
+        return auditRef.id;
+    } catch (error) {
+        console.error('Error recording audit event:', error);
+        throw new Error('Failed to record audit event');
+    }
+}
+
+/**
+ * List audit events, newest first
+ * Filters: clientId, actor, action, outcome, since and until (Dates)
+ * Returns a page of events and the cursor for the next page, or null on the last one
+ */
+async function listAuditEvents(filters = {}, { limit = 50, cursor = null } = {}) {
+    try {
+        let query = firestore.collection(AUDIT_LOG_COLLECTION);
+
+        for (const field of ['clientId', 'actor', 'action', 'outcome']) {
+            if (filters[field]) {
+                query = query.where(field, '==', filters[field]);
+            }
+        }
+        if (filters.since) {
+            query = query.where('timestamp', '>=', filters.since);
+        }
+        if (filters.until) {
+            query = query.where('timestamp', '<', filters.until);
+        }
+
+        query = query.orderBy('timestamp', 'desc').orderBy('auditId', 'desc');
+
+        if (cursor) {
+            const position = decodeAuditCursor(cursor);
+            query = query.startAfter(position.timestamp, position.auditId);
+        }
+
+        // One extra event tells us whether there is another page
+        const snapshot = await query.limit(limit + 1).get();
+        const events = snapshot.docs.slice(0, limit).map(doc => doc.data());
+
+        return {
+            events,
+            nextCursor: snapshot.size > limit ? encodeAuditCursor(events[events.length - 1]) : null
+        };
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            throw error;
+        }
+        console.error('Error listing audit events:', error);
+        throw new Error('Failed to retrieve audit events');
+    }
+}
+
+/**
+ * Delete audit events recorded before a date
+ * Returns the number of events deleted
+ */
+async function pruneAuditEvents(before) {
+    try {
+        let deleted = 0;
+        let snapshot;
+
+        // A batch holds at most 500 writes
+        do {
+            snapshot = await firestore.collection(AUDIT_LOG_COLLECTION)
+                .where('timestamp', '<', before)
+                .limit(500)
+                .get();
+
+            const batch = firestore.batch();
+            snapshot.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+
+            deleted += snapshot.size;
+        } while (snapshot.size === 500);
+
+        return deleted;
+    } catch (error) {
+        console.error('Error pruning audit events:', error);
+        throw new Error('Failed to prune audit events');
+    }
+}
+
+/**
+ * Save a new API key record (the key's hash, never the key itself)
+ */
+async function saveApiKey(apiKey) {
+    try {
+        const record = {
+            ...apiKey,
+            createdAt: new Date(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        await firestore.collection(API_KEYS_COLLECTION).doc(apiKey.keyId).set(record);
+
+        return record;
+    } catch (error) {
+        console.error('Error saving API key:', error);
+        throw new Error('Failed to save API key');
+    }
+}
+
+/**
+ * Get an API key record by ID
+ */
+async function getApiKey(keyId) {
+    try {
+        const doc = await firestore.collection(API_KEYS_COLLECTION).doc(keyId).get();
+
+        return doc.exists ? doc.data() : null;
+    } catch (error) {
+        console.error('Error getting API key:', error);
+        throw new Error('Failed to retrieve API key');
+    }
+}
+
+/**
+ * List all API key records
+ */
+async function listApiKeys() {
+    try {
+        const snapshot = await firestore.collection(API_KEYS_COLLECTION)
+            .orderBy('createdAt', 'desc')
+            .get();
+
+        return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        throw new Error('Failed to retrieve API keys');
+    }
+}
+
+/**
+ * Update fields on an API key record
+ */
+async function updateApiKey(keyId, updates) {
+    try {
+        await firestore.collection(API_KEYS_COLLECTION).doc(keyId).update(updates);
+        return true;
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        throw new Error('Failed to update API key');
+    }
+}
+
+/**
+ * Get a stored session, or null if it doesn't exist or has expired
+ * Expired documents are removed by a Firestore TTL policy on expiresAt
+ */
+async function getSession(sessionId) {
+    try {
+        const doc = await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const data = doc.data();
+        if (data.expiresAt.toDate() <= new Date()) {
+            return null;
+        }
+
+        return JSON.parse(data.session);
+    } catch (error) {
+        console.error('Error getting session:', error);
+        throw new Error('Failed to retrieve session');
+    }
+}
+
+/**
+ * Store a session until the given expiry
+ */
+async function saveSession(sessionId, sessionData, expiresAt) {
+    try {
+        await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).set({
+            session: JSON.stringify(sessionData),
+            expiresAt,
+            updatedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error saving session:', error);
+        throw new Error('Failed to save session');
+    }
+}
+
+/**
+ * Extend a session's expiry without rewriting it
+ */
+async function touchSession(sessionId, expiresAt) {
+    try {
+        await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).update({ expiresAt });
+        return true;
+    } catch (error) {
+        console.error('Error touching session:', error);
+        throw new Error('Failed to touch session');
+    }
+}
+
+/**
+ * Delete a session
+ */
+async function deleteSession(sessionId) {
+    try {
+        await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).delete();
+        return true;
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        throw new Error('Failed to delete session');
+    }
+}
+
+/**
+ * Record that an OAuth state has been used
+ * Returns false if it was already used, so each state is accepted once
+ */
+async function claimOAuthState(stateId, expiresAt) {
+    try {
+        const stateRef = firestore.collection(OAUTH_STATES_COLLECTION).doc(stateId);
+
+        return await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(stateRef);
+            if (doc.exists) {
+                return false;
+            }
+
+            transaction.set(stateRef, {
+                usedAt: new Date(),
+                expiresAt // Firestore TTL policy deletes used states once they could no longer be replayed
+            });
+
+            return true;
+        });
+    } catch (error) {
+        console.error('Error claiming OAuth state:', error);
+        throw new Error('Failed to claim OAuth state');
+    }
+}
+
+/**
+ * Save a reply waiting for human approval
+ */
+async function savePendingReply(pendingReply) {
+    try {
+        await firestore.collection(PENDING_REPLIES_COLLECTION).doc(pendingReply.approvalId).set({
+            ...pendingReply,
+            status: 'pending',
+            createdAt: new Date()
+        });
+
+        return pendingReply;
+    } catch (error) {
+        console.error('Error saving pending reply:', error);
+        throw new Error('Failed to save pending reply');
+    }
+}
+
+/**
+ * Get a pending reply by approval ID
+ */
+async function getPendingReply(approvalId) {
+    try {
+        const doc = await firestore.collection(PENDING_REPLIES_COLLECTION).doc(approvalId).get();
+        return doc.exists ? doc.data() : null;
+    } catch (error) {
+        console.error('Error getting pending reply:', error);
+        throw new Error('Failed to retrieve pending reply');
+    }
+}
+
+/**
+ * Record the decision on a pending reply
+ * Returns the updated record, or null if it was already decided
+ */
+async function recordReplyDecision(approvalId, decision, details = {}) {
+    try {
+        const replyRef = firestore.collection(PENDING_REPLIES_COLLECTION).doc(approvalId);
+
+        return await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(replyRef);
+            if (!doc.exists || doc.data().status !== 'pending') {
+                return null;
+            }
+
+            const updates = {
+                ...details,
+                status: decision,
+                decidedAt: new Date()
+            };
+            transaction.update(replyRef, updates);
+
+            return { ...doc.data(), ...updates };
+        });
+    } catch (error) {
+        console.error('Error recording reply decision:', error);
+        throw new Error('Failed to record reply decision');
+    }
+}
+
+/**
+ * Update a decided reply, e.g. with the id of the sent message
+ */
+async function updatePendingReply(approvalId, updates) {
+    try {
+        await firestore.collection(PENDING_REPLIES_COLLECTION).doc(approvalId).update(updates);
+        return true;
+    } catch (error) {
+        console.error('Error updating pending reply:', error);
+        throw new Error('Failed to update pending reply');
+    }
+}
+
+/**
+ * Get statistics
+ */
+async function getStats() {
+    try {
+        const snapshot = await firestore.collection(CLIENTS_COLLECTION).get();
+
+        return summarizeClients(snapshot.docs.map(doc => doc.data()));
+    } catch (error) {
+        console.error('Error getting stats:', error);
+        throw new Error('Failed to retrieve statistics');
+    }
+}
+
+module.exports = {
+    saveClient,
+    getClientById,
+    getClientByGmail,
+    getAllClients,
+    getClientsByStatus,
+    listClients,
+    getClientRecord,
+    getClientsWithExpiringWatches,
+    updateWatchData,
+    updateWatchFilter,
+    updateHistoryId,
+    claimMessage,
+    markMessageProcessed,
+    releaseMessageClaim,
+    deleteClient,
+    tombstoneClient,
+    purgeClientData,
+    updateClientTokens,
+    reencryptClientTokens,
+    updateClientSettings,
+    updateClientProfile,
+    updateClientStatus,
+    backfillClientStatuses,
+    recordCredentialIssuance,
+    recordAuditEvent,
+    listAuditEvents,
+    pruneAuditEvents,
+    saveApiKey,
+    getApiKey,
+    listApiKeys,
+    updateApiKey,
+    getSession,
+    saveSession,
+    touchSession,
+    deleteSession,
+    claimOAuthState,
+    savePendingReply,
+    getPendingReply,
+    recordReplyDecision,
+    updatePendingReply,
+    getStats
+};
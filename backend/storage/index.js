@@ -0,0 +1,75 @@
+// Functions every storage backend exports, with the same arguments, results and errors
+// Dates are returned as Firestore Timestamps by every backend, so callers use .toDate()
+// Client status transitions are checked by the backend, using the rules in shared.js
+const STORAGE_FUNCTIONS = [
+    'saveClient',
+    'getClientById',
+    'getClientByGmail',
+    'getAllClients',
+    'getClientsByStatus',
+    'listClients',
+    'getClientRecord',
+    'getClientsWithExpiringWatches',
+    'updateWatchData',
+    'updateWatchFilter',
+    'updateHistoryId',
+    'claimMessage',
+    'markMessageProcessed',
+    'releaseMessageClaim',
+    'deleteClient',
+    'tombstoneClient',
+    'purgeClientData',
+    'updateClientTokens',
+    'reencryptClientTokens',
+    'updateClientSettings',
+    'updateClientProfile',
+    'updateClientStatus',
+    'backfillClientStatuses',
+    'recordCredentialIssuance',
+    'recordAuditEvent',
+    'listAuditEvents',
+    'pruneAuditEvents',
+    'saveApiKey',
+    'getApiKey',
+    'listApiKeys',
+    'updateApiKey',
+    'getSession',
+    'saveSession',
+    'touchSession',
+    'deleteSession',
+    'claimOAuthState',
+    'savePendingReply',
+    'getPendingReply',
+    'recordReplyDecision',
+    'updatePendingReply',
+    'getStats'
+];
+
+const STORAGE_BACKENDS = {
+    firestore: './firestore',
+    memory: './memory'
+};
+
+/**
+ * Load the storage backend with the given name
+ * Backends are only loaded when selected, so 'memory' never touches Google Cloud
+ */
+function loadStorage(name) {
+    if (!STORAGE_BACKENDS[name]) {
+        throw new Error(`Unknown storage backend "${name}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+
+    const storage = require(STORAGE_BACKENDS[name]);
+
+    const missing = STORAGE_FUNCTIONS.filter(fn => typeof storage[fn] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Storage backend "${name}" is missing: ${missing.join(', ')}`);
+    }
+
+    return storage;
+}
+
+module.exports = {
+    loadStorage,
+    STORAGE_FUNCTIONS
+};
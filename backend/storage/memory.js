@@ -0,0 +1,1090 @@
+const { Timestamp } = require('@google-cloud/firestore');
+const { v4: uuidv4 } = require('uuid');
+const { encryptTokens, decryptTokens, isEncryptedWithPrimaryKey } = require('../encryption');
+const {
+    PROCESSED_MESSAGE_TTL_DAYS,
+    MESSAGE_CLAIM_TIMEOUT_MS,
+    compareHistoryIds,
+    compareByRegistration,
+    getClientStatus,
+    initialStatusFields,
+    planStatusChange,
+    summarizeClients,
+    CLIENT_RANGE_FILTERS,
+    getField,
+    toClientSummary,
+    getClientSortField,
+    encodeClientCursor,
+    decodeClientCursor,
+    createAuditRecord,
+    encodeAuditCursor,
+    decodeAuditCursor
+} = require('./shared');
+
+// In-memory storage with the same behaviour as the Firestore backend
+// Data lives in this process only, so it suits local development and CI, not production
+
+const CLIENTS_COLLECTION = 'clients';
+const PROCESSED_MESSAGES_COLLECTION = 'processedMessages';
+const PENDING_REPLIES_COLLECTION = 'pendingReplies';
+const CREDENTIAL_AUDIT_COLLECTION = 'credentialAudit';
+const API_KEYS_COLLECTION = 'apiKeys';
+const SESSIONS_COLLECTION = 'sessions';
+const OAUTH_STATES_COLLECTION = 'oauthStates';
+const AUDIT_LOG_COLLECTION = 'auditLog';
+
+// Marks a field for removal in updateDocument, like FieldValue.delete()
+const DELETE_FIELD = Symbol('deleteField');
+
+const collections = new Map();
+
+/**
+ * Get the documents of a collection, keyed by document ID
+ */
+function getCollection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, new Map());
+    }
+    return collections.get(name);
+}
+
+/**
+ * Check whether a value is a plain object (a Firestore map)
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Copy a value for storage, rejecting undefined the way Firestore does
+ */
+function toStored(value, path = 'document') {
+    if (value === undefined) {
+        throw new Error(`Cannot use "undefined" as a value (found in field "${path}")`);
+    }
+    if (value instanceof Timestamp) {
+        return value.toDate();
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => toStored(item, `${path}.${index}`));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStored(item, `${path}.${key}`)]));
+    }
+    return value;
+}
+
+/**
+ * Copy a stored value for callers, returning dates as Timestamps like Firestore
+ */
+function fromStored(value) {
+    if (value instanceof Date) {
+        return Timestamp.fromDate(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(fromStored);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromStored(item)]));
+    }
+    return value;
+}
+
+/**
+ * Merge fields into a stored object, merging nested maps like set(..., { merge: true })
+ */
+function mergeInto(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        target[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? mergeInto(target[key], value)
+            : value;
+    }
+    return target;
+}
+
+/**
+ * Read a document, or null if it doesn't exist
+ */
+function getDocument(collection, id) {
+    const doc = getCollection(collection).get(id);
+    return doc ? fromStored(doc) : null;
+}
+
+/**
+ * Create or overwrite a document, or merge into it
+ */
+function setDocument(collection, id, data, { merge = false } = {}) {
+    const documents = getCollection(collection);
+    const stored = toStored(data);
+
+    documents.set(id, merge && documents.has(id) ? mergeInto(documents.get(id), stored) : stored);
+}
+
+/**
+ * Update fields of an existing document
+ * Keys may be dotted paths into nested maps; fails if the document doesn't exist
+ */
+function updateDocument(collection, id, updates) {
+    const doc = getCollection(collection).get(id);
+    if (!doc) {
+        throw new Error(`No document to update: ${collection}/${id}`);
+    }
+
+    for (const [path, value] of Object.entries(updates)) {
+        const keys = path.split('.');
+        const field = keys.pop();
+
+        let parent = doc;
+        for (const key of keys) {
+            if (!isPlainObject(parent[key])) {
+                parent[key] = {};
+            }
+            parent = parent[key];
+        }
+
+        if (value === DELETE_FIELD) {
+            delete parent[field];
+        } else {
+            parent[field] = toStored(value, path);
+        }
+    }
+}
+
+/**
+ * Delete a document; deleting one that doesn't exist is not an error
+ */
+function deleteDocument(collection, id) {
+    getCollection(collection).delete(id);
+}
+
+/**
+ * Read the documents of a collection that match a filter, in document ID order
+ */
+function queryDocuments(collection, filter = () => true) {
+    return [...getCollection(collection).entries()]
+        .sort(([a], [b]) => (a < b ? -1 : (a > b ? 1 : 0)))
+        .map(([, doc]) => doc)
+        .filter(filter)
+        .map(fromStored);
+}
+
+/**
+ * Decrypt a stored client's tokens before returning it
+ */
+function withDecryptedTokens(data) {
+    return {
+        ...data,
+        tokens: decryptTokens(data.tokens)
+    };
+}
+
+/**
+ * Save or update client
+ * New clients start in pending_watch; an existing client's status is left to updateClientStatus
+ */
+async function saveClient(clientData) {
+    try {
+        const exists = getCollection(CLIENTS_COLLECTION).has(clientData.clientId);
+
+        // Encrypt tokens before saving
+        setDocument(CLIENTS_COLLECTION, clientData.clientId, {
+            ...clientData,
+            ...(exists ? {} : initialStatusFields({ reason: 'registered' })),
+            tokens: encryptTokens(clientData.tokens),
+            updatedAt: new Date()
+        }, { merge: true });
+
+        console.log(`Client ${clientData.clientId} saved successfully`);
+
+        return clientData;
+    } catch (error) {
+        console.error('Error saving client:', error);
+        throw new Error('Failed to save client data');
+    }
+}
+
+/**
+ * Get client by ID
+ */
+async function getClientById(clientId) {
+    try {
+        const data = getDocument(CLIENTS_COLLECTION, clientId);
+        return data ? withDecryptedTokens(data) : null;
+    } catch (error) {
+        console.error('Error getting client:', error);
+        throw new Error('Failed to retrieve client data');
+    }
+}
+
+/**
+ * Get client by Gmail address
+ * If earlier registrations left duplicates, the oldest record is returned
+ */
+async function getClientByGmail(gmailAddress) {
+    try {
+        const [data] = queryDocuments(CLIENTS_COLLECTION, doc => doc.gmailAddress === gmailAddress)
+            .sort(compareByRegistration);
+
+        return data ? withDecryptedTokens(data) : null;
+    } catch (error) {
+        console.error('Error getting client by Gmail:', error);
+        throw new Error('Failed to retrieve client data');
+    }
+}
+
+/**
+ * Get all clients
+ */
+async function getAllClients() {
+    try {
+        return queryDocuments(CLIENTS_COLLECTION).map(withDecryptedTokens);
+    } catch (error) {
+        console.error('Error getting all clients:', error);
+        throw new Error('Failed to retrieve clients');
+    }
+}
+
+/**
+ * Get clients with the given status
+ * Records from before statuses existed are matched by getClientStatus
+ */
+async function getClientsByStatus(status) {
+    try {
+        return queryDocuments(CLIENTS_COLLECTION, doc => getClientStatus(doc) === status).map(withDecryptedTokens);
+    } catch (error) {
+        console.error('Error getting clients by status:', error);
+        throw new Error('Failed to retrieve clients');
+    }
+}
+
+/**
+ * Order two [sort value, clientId] positions in a client listing
+ */
+function compareClientPositions([valueA, clientIdA], [valueB, clientIdB], order) {
+    const difference = valueA.getTime() - valueB.getTime()
+        || (clientIdA < clientIdB ? -1 : (clientIdA > clientIdB ? 1 : 0));
+
+    return order === 'asc' ? difference : -difference;
+}
+
+/**
+ * List clients without decrypting their tokens, one page at a time
+ * Filters: status, company, and date ranges on registration or watch expiry (see CLIENT_RANGE_FILTERS)
+ * Sorting by watch expiry lists only clients with a watch
+ * Returns client summaries and the cursor for the next page, or null on the last one
+ */
+async function listClients(filters = {}, { sort = 'registeredAt', order = 'desc', limit = 50, cursor = null } = {}) {
+    try {
+        const sortField = getClientSortField(filters, sort);
+        const after = cursor ? decodeClientCursor(cursor, sort) : null;
+        const positionOf = doc => [getField(doc, sortField), doc.clientId];
+
+        const matching = [...getCollection(CLIENTS_COLLECTION).values()]
+            // Like Firestore, documents without the sort field are left out
+            .filter(doc => getField(doc, sortField) instanceof Date)
+            .filter(doc => !filters.status || doc.status === filters.status)
+            .filter(doc => !filters.company || doc.company === filters.company)
+            .filter(doc => Object.entries(CLIENT_RANGE_FILTERS).every(([name, range]) => {
+                const value = getField(doc, sortField);
+                return !filters[name] || (range.op === '>=' ? value >= filters[name] : value < filters[name]);
+            }))
+            .filter(doc => !after || compareClientPositions([after.value, after.clientId], positionOf(doc), order) < 0)
+            .sort((a, b) => compareClientPositions(positionOf(a), positionOf(b), order));
+
+        const page = matching.slice(0, limit).map(fromStored);
+
+        return {
+            clients: page.map(data => toClientSummary(data)),
+            nextCursor: matching.length > limit ? encodeClientCursor(page[page.length - 1], sort) : null
+        };
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_QUERY') {
+            throw error;
+        }
+        console.error('Error listing clients:', error);
+        throw new Error('Failed to retrieve clients');
+    }
+}
+
+/**
+ * Get a client's record with its status history, without its tokens
+ */
+async function getClientRecord(clientId) {
+    try {
+        const data = getDocument(CLIENTS_COLLECTION, clientId);
+        return data ? toClientSummary(data, { includeHistory: true }) : null;
+    } catch (error) {
+        console.error('Error getting client record:', error);
+        throw new Error('Failed to retrieve client data');
+    }
+}
+
+/**
+ * Get clients with expiring watches, soonest first
+ * @param {number} hoursFromNow - Get watches expiring within this many hours
+ */
+async function getClientsWithExpiringWatches(hoursFromNow = 48) {
+    try {
+        const expirationThreshold = new Date();
+        expirationThreshold.setHours(expirationThreshold.getHours() + hoursFromNow);
+
+        // Like a Firestore range filter, records without an expiration date don't match
+        return queryDocuments(CLIENTS_COLLECTION, doc => doc.watchData?.expiration instanceof Date
+            && doc.watchData.expiration <= expirationThreshold)
+            .sort((a, b) => a.watchData.expiration.toMillis() - b.watchData.expiration.toMillis())
+            .map(withDecryptedTokens);
+    } catch (error) {
+        console.error('Error getting clients with expiring watches:', error);
+        throw new Error('Failed to retrieve clients with expiring watches');
+    }
+}
+
+/**
+ * Update watch data for a client, or clear it with null
+ * The stored historyId is the processing checkpoint and only updateHistoryId moves it;
+ * the given historyId is used only when the client has none yet
+ * Returns the watch data as stored
+ */
+async function updateWatchData(clientId, watchData) {
+    try {
+        const doc = getDocument(CLIENTS_COLLECTION, clientId);
+        if (!doc) {
+            throw new Error('Client not found');
+        }
+
+        const updated = watchData && {
+            ...watchData,
+            historyId: doc.watchData?.historyId || watchData.historyId
+        };
+
+        updateDocument(CLIENTS_COLLECTION, clientId, {
+            watchData: updated,
+            lastRenewed: new Date(),
+            updatedAt: new Date()
+        });
+
+        console.log(`Watch data updated for client ${clientId}`);
+        return updated;
+    } catch (error) {
+        console.error('Error updating watch data:', error);
+        throw new Error('Failed to update watch data');
+    }
+}
+
+/**
+ * Update the label filter used for a client's Gmail watch
+ */
+async function updateWatchFilter(clientId, watchFilter) {
+    try {
+        updateDocument(CLIENTS_COLLECTION, clientId, {
+            watchFilter,
+            updatedAt: new Date()
+        });
+
+        console.log(`Watch filter updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating watch filter:', error);
+        throw new Error('Failed to update watch filter');
+    }
+}
+
+/**
+ * Advance the last processed Gmail historyId for a client
+ * The checkpoint only ever moves forward; returns false if it was already ahead
+ */
+async function updateHistoryId(clientId, historyId) {
+    try {
+        const doc = getDocument(CLIENTS_COLLECTION, clientId);
+        if (!doc) {
+            throw new Error('Client not found');
+        }
+
+        const currentHistoryId = doc.watchData?.historyId;
+        if (currentHistoryId && compareHistoryIds(historyId, currentHistoryId) <= 0) {
+            return false;
+        }
+
+        updateDocument(CLIENTS_COLLECTION, clientId, {
+            'watchData.historyId': String(historyId),
+            updatedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error updating history ID:', error);
+        throw new Error('Failed to update history ID');
+    }
+}
+
+/**
+ * Claim a message for delivery
+ * Returns false if it was already delivered, or another worker is delivering it right now
+ */
+async function claimMessage(clientId, messageId) {
+    try {
+        const ledgerId = `${clientId}_${messageId}`;
+        const entry = getDocument(PROCESSED_MESSAGES_COLLECTION, ledgerId);
+        const now = new Date();
+
+        if (entry) {
+            if (entry.status === 'delivered' && entry.expiresAt.toDate() > now) {
+                return false;
+            }
+
+            if (entry.status === 'processing' && now - entry.claimedAt.toDate() < MESSAGE_CLAIM_TIMEOUT_MS) {
+                return false;
+            }
+        }
+
+        setDocument(PROCESSED_MESSAGES_COLLECTION, ledgerId, {
+            clientId,
+            messageId,
+            status: 'processing',
+            claimedAt: now,
+            expiresAt: new Date(now.getTime() + PROCESSED_MESSAGE_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error claiming message:', error);
+        throw new Error('Failed to claim message');
+    }
+}
+
+/**
+ * Mark a claimed message as delivered
+ */
+async function markMessageProcessed(clientId, messageId) {
+    try {
+        updateDocument(PROCESSED_MESSAGES_COLLECTION, `${clientId}_${messageId}`, {
+            status: 'delivered',
+            processedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error marking message processed:', error);
+        throw new Error('Failed to mark message processed');
+    }
+}
+
+/**
+ * Release a claim after a failed delivery so the message can be retried
+ */
+async function releaseMessageClaim(clientId, messageId) {
+    try {
+        deleteDocument(PROCESSED_MESSAGES_COLLECTION, `${clientId}_${messageId}`);
+        return true;
+    } catch (error) {
+        console.error('Error releasing message claim:', error);
+        throw new Error('Failed to release message claim');
+    }
+}
+
+/**
+ * Delete a client
+ */
+async function deleteClient(clientId) {
+    try {
+        deleteDocument(CLIENTS_COLLECTION, clientId);
+
+        console.log(`Client ${clientId} deleted successfully`);
+        return true;
+    } catch (error) {
+        console.error('Error deleting client:', error);
+        throw new Error('Failed to delete client');
+    }
+}
+
+/**
+ * Keep a disconnected client's record without its tokens or watch
+ * so it can be audited and reconnected later
+ */
+async function tombstoneClient(clientId, details = {}) {
+    try {
+        const doc = getDocument(CLIENTS_COLLECTION, clientId);
+        if (!doc) {
+            throw new Error('Client not found');
+        }
+
+        const plan = planStatusChange(doc, 'disconnected', {
+            reason: details.reason || null,
+            actor: details.disconnectedBy || null
+        });
+
+        updateDocument(CLIENTS_COLLECTION, clientId, {
+            ...plan?.updates,
+            tokens: DELETE_FIELD,
+            watchData: null,
+            disconnectedAt: new Date(),
+            disconnectedBy: details.disconnectedBy || null,
+            updatedAt: new Date()
+        });
+
+        console.log(`Client ${clientId} tombstoned`);
+        return plan?.change || null;
+    } catch (error) {
+        console.error('Error tombstoning client:', error);
+        throw new Error('Failed to tombstone client');
+    }
+}
+
+/**
+ * Delete every document in a collection belonging to a client
+ */
+function deleteClientDocuments(collection, clientId) {
+    const documents = getCollection(collection);
+
+    let deleted = 0;
+    for (const [id, doc] of documents) {
+        if (doc.clientId === clientId) {
+            documents.delete(id);
+            deleted++;
+        }
+    }
+
+    return deleted;
+}
+
+/**
+ * Delete a client's message ledger and pending replies
+ */
+async function purgeClientData(clientId) {
+    try {
+        const processedMessages = deleteClientDocuments(PROCESSED_MESSAGES_COLLECTION, clientId);
+        const pendingReplies = deleteClientDocuments(PENDING_REPLIES_COLLECTION, clientId);
+
+        console.log(`Purged data for client ${clientId}: ${processedMessages} ledger entries, ${pendingReplies} pending replies`);
+
+        return { processedMessages, pendingReplies };
+    } catch (error) {
+        console.error('Error purging client data:', error);
+        throw new Error('Failed to purge client data');
+    }
+}
+
+/**
+ * Update client tokens
+ */
+async function updateClientTokens(clientId, tokens) {
+    try {
+        updateDocument(CLIENTS_COLLECTION, clientId, {
+            tokens: encryptTokens(tokens),
+            updatedAt: new Date()
+        });
+
+        console.log(`Tokens updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating tokens:', error);
+        throw new Error('Failed to update tokens');
+    }
+}
+
+/**
+ * Re-encrypt a client's stored tokens with the newest key
+ * Reads and writes in one transaction, so tokens refreshed meanwhile aren't overwritten
+ * Returns false if there are no tokens or they already use the newest key;
+ * with dryRun, checks the tokens can be decrypted without writing them
+ */
+async function reencryptClientTokens(clientId, { dryRun = false } = {}) {
+    try {
+        const doc = getDocument(CLIENTS_COLLECTION, clientId);
+        if (!doc) {
+            throw new Error('Client not found');
+        }
+
+        const stored = doc.tokens;
+        if (!stored || isEncryptedWithPrimaryKey(stored)) {
+            return false;
+        }
+
+        const tokens = decryptTokens(stored);
+        if (!tokens.access_token) {
+            throw new Error('Stored tokens could not be decrypted');
+        }
+
+        if (!dryRun) {
+            updateDocument(CLIENTS_COLLECTION, clientId, { tokens: encryptTokens(tokens), updatedAt: new Date() });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Error re-encrypting tokens for ${clientId}:`, error);
+        throw new Error('Failed to re-encrypt tokens');
+    }
+}
+
+/**
+ * Update client settings, merging with the existing ones
+ */
+async function updateClientSettings(clientId, settings) {
+    try {
+        const updates = { updatedAt: new Date() };
+        for (const [key, value] of Object.entries(settings)) {
+            updates[`settings.${key}`] = value;
+        }
+
+        updateDocument(CLIENTS_COLLECTION, clientId, updates);
+
+        console.log(`Settings updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating client settings:', error);
+        throw new Error('Failed to update client settings');
+    }
+}
+
+/**
+ * Update a client's name, company and settings
+ * Fields left undefined are unchanged; settings are merged with the existing ones
+ */
+async function updateClientProfile(clientId, { name, company, settings } = {}) {
+    try {
+        const updates = { updatedAt: new Date() };
+        if (name !== undefined) {
+            updates.name = name;
+        }
+        if (company !== undefined) {
+            updates.company = company;
+        }
+        for (const [key, value] of Object.entries(settings || {})) {
+            updates[`settings.${key}`] = value;
+        }
+
+        updateDocument(CLIENTS_COLLECTION, clientId, updates);
+
+        console.log(`Profile updated for client ${clientId}`);
+        return true;
+    } catch (error) {
+        console.error('Error updating client profile:', error);
+        throw new Error('Failed to update client profile');
+    }
+}
+
+/**
+ * Move a client to a new status, recording the transition in its history
+ * Returns the change, or null if the client already had that status
+ * Throws an INVALID_STATUS_TRANSITION error if the transition isn't allowed
+ */
+async function updateClientStatus(clientId, status, { reason = null, actor = null } = {}) {
+    try {
+        const doc = getDocument(CLIENTS_COLLECTION, clientId);
+        if (!doc) {
+            throw new Error('Client not found');
+        }
+
+        const plan = planStatusChange(doc, status, { reason, actor });
+        if (!plan) {
+            return null;
+        }
+
+        updateDocument(CLIENTS_COLLECTION, clientId, plan.updates);
+
+        console.log(`Client ${clientId} status changed from ${plan.change.from} to ${status}`);
+        return plan.change;
+    } catch (error) {
+        if (error.code === 'INVALID_STATUS_TRANSITION') {
+            throw error;
+        }
+        console.error('Error updating client status:', error);
+        throw new Error('Failed to update client status');
+    }
+}
+
+/**
+ * Store the status of clients saved before statuses existed, so queries on status find them
+ * Tokens are never read. Returns how many clients were checked and how many were backfilled
+ */
+async function backfillClientStatuses() {
+    try {
+        const documents = getCollection(CLIENTS_COLLECTION);
+
+        let backfilled = 0;
+        for (const [clientId, doc] of documents) {
+            if (!doc.status) {
+                updateDocument(CLIENTS_COLLECTION, clientId, initialStatusFields({
+                    status: getClientStatus(doc),
+                    reason: 'backfilled',
+                    actor: 'system'
+                }));
+                backfilled++;
+            }
+        }
+
+        return { total: documents.size, backfilled };
+    } catch (error) {
+        console.error('Error backfilling client statuses:', error);
+        throw new Error('Failed to backfill client statuses');
+    }
+}
+
+/**
+ * Record that a client's access token was handed out
+ */
+async function recordCredentialIssuance(entry) {
+    try {
+        setDocument(CREDENTIAL_AUDIT_COLLECTION, uuidv4(), {
+            ...entry,
+            issuedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error recording credential issuance:', error);
+        throw new Error('Failed to record credential issuance');
+    }
+}
+
+/**
+ * Append an event to the audit log
+ */
+async function recordAuditEvent(event) {
+    try {
+        const auditId = uuidv4();
+        setDocument(AUDIT_LOG_COLLECTION, auditId, createAuditRecord(auditId, event));
+
+        return auditId;
+    } catch (error) {
+        console.error('Error recording audit event:', error);
+        throw new Error('Failed to record audit event');
+    }
+}
+
+/**
+ * Newest first, by auditId on ties, matching the Firestore query order
+ */
+function compareAuditEvents(a, b) {
+    return b.timestamp.getTime() - a.timestamp.getTime()
+        || (a.auditId < b.auditId ? 1 : (a.auditId > b.auditId ? -1 : 0));
+}
+
+/**
+ * List audit events, newest first
+ * Filters: clientId, actor, action, outcome, since and until (Dates)
+ * Returns a page of events and the cursor for the next page, or null on the last one
+ */
+async function listAuditEvents(filters = {}, { limit = 50, cursor = null } = {}) {
+    try {
+        const position = cursor ? decodeAuditCursor(cursor) : null;
+
+        const matching = [...getCollection(AUDIT_LOG_COLLECTION).values()]
+            .filter(event => ['clientId', 'actor', 'action', 'outcome']
+                .every(field => !filters[field] || event[field] === filters[field]))
+            .filter(event => !filters.since || event.timestamp >= filters.since)
+            .filter(event => !filters.until || event.timestamp < filters.until)
+            .filter(event => !position || compareAuditEvents(position, event) < 0)
+            .sort(compareAuditEvents);
+
+        const events = matching.slice(0, limit).map(fromStored);
+
+        return {
+            events,
+            nextCursor: matching.length > limit ? encodeAuditCursor(events[events.length - 1]) : null
+        };
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            throw error;
+        }
+        console.error('Error listing audit events:', error);
+        throw new Error('Failed to retrieve audit events');
+    }
+}
+
+/**
+ * Delete audit events recorded before a date
+ * Returns the number of events deleted
+ */
+async function pruneAuditEvents(before) {
+    try {
+        const documents = getCollection(AUDIT_LOG_COLLECTION);
+
+        let deleted = 0;
+        for (const [id, event] of documents) {
+            if (event.timestamp < before) {
+                documents.delete(id);
+                deleted++;
+            }
+        }
+
+        return deleted;
+    } catch (error) {
+        console.error('Error pruning audit events:', error);
+        throw new Error('Failed to prune audit events');
+    }
+}
+
+/**
+ * Save a new API key record (the key's hash, never the key itself)
+ */
+async function saveApiKey(apiKey) {
+    try {
+        const record = {
+            ...apiKey,
+            createdAt: new Date(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        setDocument(API_KEYS_COLLECTION, apiKey.keyId, record);
+
+        return record;
+    } catch (error) {
+        console.error('Error saving API key:', error);
+        throw new Error('Failed to save API key');
+    }
+}
+
+/**
+ * Get an API key record by ID
+ */
+async function getApiKey(keyId) {
+    try {
+        return getDocument(API_KEYS_COLLECTION, keyId);
+    } catch (error) {
+        console.error('Error getting API key:', error);
+        throw new Error('Failed to retrieve API key');
+    }
+}
+
+/**
+ * List all API key records, newest first
+ */
+async function listApiKeys() {
+    try {
+        return queryDocuments(API_KEYS_COLLECTION)
+            .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        throw new Error('Failed to retrieve API keys');
+    }
+}
+
+/**
+ * Update fields on an API key record
+ */
+async function updateApiKey(keyId, updates) {
+    try {
+        updateDocument(API_KEYS_COLLECTION, keyId, updates);
+        return true;
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        throw new Error('Failed to update API key');
+    }
+}
+
+/**
+ * Get a stored session, or null if it doesn't exist or has expired
+ */
+async function getSession(sessionId) {
+    try {
+        const data = getDocument(SESSIONS_COLLECTION, sessionId);
+        if (!data) {
+            return null;
+        }
+
+        // Nothing cleans up expired sessions here, so drop them when read
+        if (data.expiresAt.toDate() <= new Date()) {
+            deleteDocument(SESSIONS_COLLECTION, sessionId);
+            return null;
+        }
+
+        return JSON.parse(data.session);
+    } catch (error) {
+        console.error('Error getting session:', error);
+        throw new Error('Failed to retrieve session');
+    }
+}
+
+/**
+ * Store a session until the given expiry
+ */
+async function saveSession(sessionId, sessionData, expiresAt) {
+    try {
+        setDocument(SESSIONS_COLLECTION, sessionId, {
+            session: JSON.stringify(sessionData),
+            expiresAt,
+            updatedAt: new Date()
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error saving session:', error);
+        throw new Error('Failed to save session');
+    }
+}
+
+/**
+ * Extend a session's expiry without rewriting it
+ */
+async function touchSession(sessionId, expiresAt) {
+    try {
+        updateDocument(SESSIONS_COLLECTION, sessionId, { expiresAt });
+        return true;
+    } catch (error) {
+        console.error('Error touching session:', error);
+        throw new Error('Failed to touch session');
+    }
+}
+
+/**
+ * Delete a session
+ */
+async function deleteSession(sessionId) {
+    try {
+        deleteDocument(SESSIONS_COLLECTION, sessionId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        throw new Error('Failed to delete session');
+    }
+}
+
+/**
+ * Record that an OAuth state has been used
+ * Returns false if it was already used, so each state is accepted once
+ */
+async function claimOAuthState(stateId, expiresAt) {
+    try {
+        if (getDocument(OAUTH_STATES_COLLECTION, stateId)) {
+            return false;
+        }
+
+        setDocument(OAUTH_STATES_COLLECTION, stateId, {
+            usedAt: new Date(),
+            expiresAt
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error claiming OAuth state:', error);
+        throw new Error('Failed to claim OAuth state');
+    }
+}
+
+/**
+ * Save a reply waiting for human approval
+ */
+async function savePendingReply(pendingReply) {
+    try {
+        setDocument(PENDING_REPLIES_COLLECTION, pendingReply.approvalId, {
+            ...pendingReply,
+            status: 'pending',
+            createdAt: new Date()
+        });
+
+        return pendingReply;
+    } catch (error) {
+        console.error('Error saving pending reply:', error);
+        throw new Error('Failed to save pending reply');
+    }
+}
+
+/**
+ * Get a pending reply by approval ID
+ */
+async function getPendingReply(approvalId) {
+    try {
+        return getDocument(PENDING_REPLIES_COLLECTION, approvalId);
+    } catch (error) {
+        console.error('Error getting pending reply:', error);
+        throw new Error('Failed to retrieve pending reply');
+    }
+}
+
+/**
+ * Record the decision on a pending reply
+ * Returns the updated record, or null if it was already decided
+ */
+async function recordReplyDecision(approvalId, decision, details = {}) {
+    try {
+        const doc = getDocument(PENDING_REPLIES_COLLECTION, approvalId);
+        if (!doc || doc.status !== 'pending') {
+            return null;
+        }
+
+        const updates = {
+            ...details,
+            status: decision,
+            decidedAt: new Date()
+        };
+        updateDocument(PENDING_REPLIES_COLLECTION, approvalId, updates);
+
+        return { ...doc, ...updates };
+    } catch (error) {
+        console.error('Error recording reply decision:', error);
+        throw new Error('Failed to record reply decision');
+    }
+}
+
+/**
+ * Update a decided reply, e.g. with the id of the sent message
+ */
+async function updatePendingReply(approvalId, updates) {
+    try {
+        updateDocument(PENDING_REPLIES_COLLECTION, approvalId, updates);
+        return true;
+    } catch (error) {
+        console.error('Error updating pending reply:', error);
+        throw new Error('Failed to update pending reply');
+    }
+}
+
+/**
+ * Get statistics
+ */
+async function getStats() {
+    try {
+        return summarizeClients(queryDocuments(CLIENTS_COLLECTION));
+    } catch (error) {
+        console.error('Error getting stats:', error);
+        throw new Error('Failed to retrieve statistics');
+    }
+}
+
+module.exports = {
+    saveClient,
+    getClientById,
+    getClientByGmail,
+    getAllClients,
+    getClientsByStatus,
+    listClients,
+    getClientRecord,
+    getClientsWithExpiringWatches,
+    updateWatchData,
+    updateWatchFilter,
+    updateHistoryId,
+    claimMessage,
+    markMessageProcessed,
+    releaseMessageClaim,
+    deleteClient,
+    tombstoneClient,
+    purgeClientData,
+    updateClientTokens,
+    reencryptClientTokens,
+    updateClientSettings,
+    updateClientProfile,
+    updateClientStatus,
+    backfillClientStatuses,
+    recordCredentialIssuance,
+    recordAuditEvent,
+    listAuditEvents,
+    pruneAuditEvents,
+    saveApiKey,
+    getApiKey,
+    listApiKeys,
+    updateApiKey,
+    getSession,
+    saveSession,
+    touchSession,
+    deleteSession,
+    claimOAuthState,
+    savePendingReply,
+    getPendingReply,
+    recordReplyDecision,
+    updatePendingReply,
+    getStats
+};
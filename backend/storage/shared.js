@@ -0,0 +1,308 @@
+// Rules every storage backend applies the same way
+
+const PROCESSED_MESSAGE_TTL_DAYS = parseInt(process.env.PROCESSED_MESSAGE_TTL_DAYS, 10) || 7;
+const MESSAGE_CLAIM_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+// Audit events are kept this long, then removed by the TTL policy or pruneAuditEvents
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+
+// Client lifecycle. A client starts in pending_watch and becomes active once its watch is set up
+const CLIENT_STATUSES = ['pending_watch', 'active', 'paused', 'needs_reauth', 'failing', 'disconnected'];
+
+// Statuses each status may change to
+const CLIENT_STATUS_TRANSITIONS = {
+    pending_watch: ['active', 'failing', 'paused', 'needs_reauth', 'disconnected'],
+    active: ['pending_watch', 'failing', 'paused', 'needs_reauth', 'disconnected'],
+    failing: ['active', 'pending_watch', 'paused', 'needs_reauth', 'disconnected'],
+    paused: ['pending_watch', 'needs_reauth', 'disconnected'],
+    needs_reauth: ['pending_watch', 'disconnected'],
+    disconnected: ['pending_watch']
+};
+
+// Transitions kept on each client record, oldest dropped first
+const STATUS_HISTORY_LIMIT = 50;
+
+// Fields client listings can be sorted by, and where they are stored
+const CLIENT_SORT_FIELDS = {
+    registeredAt: 'registeredAt',
+    watchExpiration: 'watchData.expiration'
+};
+
+// Date range filters for client listings, and the sort each one needs
+// (a query can only filter a range on the field it is ordered by)
+const CLIENT_RANGE_FILTERS = {
+    registeredAfter: { sort: 'registeredAt', op: '>=' },
+    registeredBefore: { sort: 'registeredAt', op: '<' },
+    watchExpiresAfter: { sort: 'watchExpiration', op: '>=' },
+    watchExpiresBefore: { sort: 'watchExpiration', op: '<' }
+};
+
+/**
+ * Compare two Gmail historyIds, which are numeric strings that may exceed 2^53
+ */
+function compareHistoryIds(a, b) {
+    const left = BigInt(a);
+    const right = BigInt(b);
+    return left === right ? 0 : (left > right ? 1 : -1);
+}
+
+/**
+ * Order client records oldest registration first, by clientId on ties
+ */
+function compareByRegistration(a, b) {
+    return (a.registeredAt?.toMillis() || 0) - (b.registeredAt?.toMillis() || 0)
+        || a.clientId.localeCompare(b.clientId);
+}
+
+/**
+ * Get a client's status
+ * Records from before statuses existed count as active if they have a watch
+ */
+function getClientStatus(data) {
+    return data.status || (data.watchData ? 'active' : 'pending_watch');
+}
+
+/**
+ * Status fields for a newly registered client, or one stored before statuses existed
+ */
+function initialStatusFields({ status = 'pending_watch', reason = null, actor = null } = {}) {
+    const now = new Date();
+
+    return {
+        status,
+        statusReason: reason,
+        statusUpdatedAt: now,
+        statusHistory: [{ from: null, to: status, reason, actor, at: now }]
+    };
+}
+
+/**
+ * Work out the updates for moving a stored client to a new status
+ * Returns null if the client already has that status, and throws if the transition isn't allowed
+ */
+function planStatusChange(data, status, { reason = null, actor = null } = {}) {
+    if (!CLIENT_STATUSES.includes(status)) {
+        throw new Error(`Unknown client status "${status}"`);
+    }
+
+    const from = getClientStatus(data);
+    if (from === status) {
+        return null;
+    }
+
+    if (!CLIENT_STATUS_TRANSITIONS[from].includes(status)) {
+        const error = new Error(`Cannot change client status from ${from} to ${status}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        throw error;
+    }
+
+    const now = new Date();
+    const entry = { from, to: status, reason, actor, at: now };
+
+    return {
+        change: {
+            clientId: data.clientId,
+            gmailAddress: data.gmailAddress,
+            ...entry
+        },
+        updates: {
+            status,
+            statusReason: reason,
+            statusUpdatedAt: now,
+            statusHistory: [...(data.statusHistory || []), entry].slice(-STATUS_HISTORY_LIMIT),
+            updatedAt: now
+        }
+    };
+}
+
+/**
+ * Summarize stored client records for getStats
+ */
+function summarizeClients(clients) {
+    const now = new Date();
+    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    let total = 0;
+    let registeredToday = 0;
+    let registeredThisWeek = 0;
+    let activeWatches = 0;
+    const byStatus = Object.fromEntries(CLIENT_STATUSES.map(status => [status, 0]));
+
+    clients.forEach(data => {
+        total++;
+        byStatus[getClientStatus(data)]++;
+
+        if (data.registeredAt && data.registeredAt.toDate() >= oneDayAgo) {
+            registeredToday++;
+        }
+
+        if (data.registeredAt && data.registeredAt.toDate() >= oneWeekAgo) {
+            registeredThisWeek++;
+        }
+
+        if (data.watchData && data.watchData.expiration && data.watchData.expiration.toDate() > now) {
+            activeWatches++;
+        }
+    });
+
+    return {
+        totalClients: total,
+        registeredToday,
+        registeredThisWeek,
+        activeWatches,
+        byStatus
+    };
+}
+
+/**
+ * Read a possibly nested field by its dotted path
+ */
+function getField(data, path) {
+    return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * A stored client without its tokens, for listings and admin views
+ * Tokens are never decrypted; only whether a refresh token is stored is reported
+ */
+function toClientSummary({ tokens, statusHistory, ...data }, { includeHistory = false } = {}) {
+    return {
+        ...data,
+        status: getClientStatus(data),
+        hasRefreshToken: Boolean(tokens?.refresh_token),
+        ...(includeHistory && { statusHistory: statusHistory || [] })
+    };
+}
+
+/**
+ * Error for a client listing that can't be run
+ */
+function invalidQueryError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+/**
+ * Check a client listing can be run, returning the stored field to order by
+ * Throws an INVALID_QUERY error for an unknown sort, or a date range on a field it isn't sorted by
+ */
+function getClientSortField(filters, sort) {
+    if (!CLIENT_SORT_FIELDS[sort]) {
+        throw invalidQueryError(`sort must be one of: ${Object.keys(CLIENT_SORT_FIELDS).join(', ')}`);
+    }
+
+    for (const [name, range] of Object.entries(CLIENT_RANGE_FILTERS)) {
+        if (filters[name] && range.sort !== sort) {
+            throw invalidQueryError(`${name} requires sort=${range.sort}`);
+        }
+    }
+
+    return CLIENT_SORT_FIELDS[sort];
+}
+
+/**
+ * Encode values as an opaque page cursor
+ */
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a page cursor from encodeCursor, checking its values with isValid
+ * Throws an error with code INVALID_CURSOR if it wasn't issued by us
+ */
+function decodeCursor(cursor, isValid) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        values = null;
+    }
+
+    if (!Array.isArray(values) || !isValid(values)) {
+        const invalid = new Error('Invalid cursor');
+        invalid.code = 'INVALID_CURSOR';
+        throw invalid;
+    }
+    return values;
+}
+
+/**
+ * Encode the position after a stored client in a listing as a page cursor
+ * The cursor is tied to the sort, since positions differ between sorts
+ */
+function encodeClientCursor(data, sort) {
+    return encodeCursor([sort, getField(data, CLIENT_SORT_FIELDS[sort]).toMillis(), data.clientId]);
+}
+
+/**
+ * Decode a page cursor from encodeClientCursor for a listing with the given sort
+ */
+function decodeClientCursor(cursor, sort) {
+    const [, millis, clientId] = decodeCursor(cursor, ([cursorSort, cursorMillis, cursorClientId]) =>
+        cursorSort === sort && Number.isInteger(cursorMillis) && typeof cursorClientId === 'string');
+
+    return { value: new Date(millis), clientId };
+}
+
+/**
+ * Build a stored audit event, stamped now and expiring after the retention period
+ */
+function createAuditRecord(auditId, event) {
+    const timestamp = new Date();
+
+    return {
+        auditId,
+        timestamp,
+        actor: event.actor || 'system',
+        action: event.action,
+        clientId: event.clientId || null,
+        outcome: event.outcome || 'success',
+        requestId: event.requestId || null,
+        details: event.details || null,
+        expiresAt: new Date(timestamp.getTime() + AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    };
+}
+
+/**
+ * Encode the position after an audit event as a page cursor
+ */
+function encodeAuditCursor(event) {
+    return encodeCursor([event.timestamp.toMillis(), event.auditId]);
+}
+
+/**
+ * Decode a page cursor from encodeAuditCursor
+ */
+function decodeAuditCursor(cursor) {
+    const [millis, auditId] = decodeCursor(cursor, ([cursorMillis, cursorAuditId]) =>
+        Number.isInteger(cursorMillis) && typeof cursorAuditId === 'string');
+
+    return { timestamp: new Date(millis), auditId };
+}
+
+module.exports = {
+    PROCESSED_MESSAGE_TTL_DAYS,
+    MESSAGE_CLAIM_TIMEOUT_MS,
+    AUDIT_RETENTION_DAYS,
+    CLIENT_STATUSES,
+    CLIENT_STATUS_TRANSITIONS,
+    compareHistoryIds,
+    compareByRegistration,
+    getClientStatus,
+    initialStatusFields,
+    planStatusChange,
+    summarizeClients,
+    CLIENT_SORT_FIELDS,
+    CLIENT_RANGE_FILTERS,
+    getField,
+    toClientSummary,
+    getClientSortField,
+    encodeClientCursor,
+    decodeClientCursor,
+    createAuditRecord,
+    encodeAuditCursor,
+    decodeAuditCursor
+};
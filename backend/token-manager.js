@@ -0,0 +1,142 @@
+const { OAuth2Client } = require('google-auth-library');
+const { updateClientTokens } = require('./database');
+const { recordAudit } = require('./audit');
+
+// Refresh access tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = (parseInt(process.env.TOKEN_REFRESH_MARGIN_SECONDS, 10) || 300) * 1000;
+
+// In-progress refreshes by clientId, so concurrent callers share one
+const pendingRefreshes = new Map();
+
+// Tokens refreshed by this instance, newer than the client record callers may hold
+const refreshedTokens = new Map();
+
+/**
+ * Create an OAuth client for this app
+ * Each use gets its own instance so credentials are never shared between clients
+ */
+function createOAuth2Client() {
+    return new OAuth2Client(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_REDIRECT_URI
+    );
+}
+
+/**
+ * Check whether an access token is missing or about to expire
+ */
+function needsRefresh(tokens) {
+    return !tokens.access_token || !tokens.expiry_date || tokens.expiry_date - Date.now() < TOKEN_REFRESH_MARGIN_MS;
+}
+
+/**
+ * Get the newest tokens known for a client
+ * A refresh done by this instance wins over an older copy of the client record,
+ * unless the user has since reconnected with a different refresh token
+ */
+function getLatestTokens(client) {
+    const cached = refreshedTokens.get(client.clientId);
+    if (cached
+        && cached.refresh_token === client.tokens.refresh_token
+        && cached.expiry_date > (client.tokens.expiry_date || 0)) {
+        return cached;
+    }
+    return client.tokens;
+}
+
+/**
+ * Save tokens for a client, keeping the refresh token when Google doesn't return a new one
+ */
+async function persistTokens(client, credentials) {
+    const tokens = {
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token || client.tokens.refresh_token,
+        expiry_date: credentials.expiry_date
+    };
+
+    refreshedTokens.set(client.clientId, tokens);
+    await updateClientTokens(client.clientId, tokens);
+
+    await recordAudit({
+        action: 'tokens.refreshed',
+        clientId: client.clientId,
+        details: { expiryDate: tokens.expiry_date || null }
+    });
+
+    return tokens;
+}
+
+/**
+ * Refresh a client's access token and store the result
+ * Concurrent calls for the same client share a single refresh
+ */
+async function refreshClientTokens(client) {
+    if (pendingRefreshes.has(client.clientId)) {
+        return pendingRefreshes.get(client.clientId);
+    }
+
+    const refresh = (async () => {
+        if (!client.tokens?.refresh_token) {
+            throw new Error('Client has no refresh token');
+        }
+
+        const oauth2Client = createOAuth2Client();
+        oauth2Client.setCredentials({ refresh_token: client.tokens.refresh_token });
+
+        let credentials;
+        try {
+            ({ credentials } = await oauth2Client.refreshAccessToken());
+        } catch (error) {
+            await recordAudit({
+                action: 'tokens.refreshed',
+                clientId: client.clientId,
+                outcome: 'failure',
+                details: { error: error.message }
+            });
+            throw error;
+        }
+
+        console.log(`Access token refreshed for client ${client.clientId}`);
+
+        return persistTokens(client, credentials);
+    })().finally(() => {
+        pendingRefreshes.delete(client.clientId);
+    });
+
+    pendingRefreshes.set(client.clientId, refresh);
+    return refresh;
+}
+
+/**
+ * Get an OAuth client authorized as the given client
+ * The access token is refreshed ahead of expiry, and tokens the library
+ * refreshes on its own during a request are stored too
+ */
+async function getAuthorizedClient(client) {
+    if (!client.tokens) {
+        throw new Error('Client has no stored tokens');
+    }
+
+    let tokens = getLatestTokens(client);
+    if (needsRefresh(tokens) && tokens.refresh_token) {
+        tokens = await refreshClientTokens({ ...client, tokens });
+    }
+
+    const oauth2Client = createOAuth2Client();
+    oauth2Client.setCredentials(tokens);
+
+    oauth2Client.on('tokens', credentials => {
+        persistTokens({ ...client, tokens }, credentials).catch(err => {
+            console.error(`Failed to store refreshed tokens for client ${client.clientId}:`, err);
+        });
+    });
+
+    return oauth2Client;
+}
+
+module.exports = {
+    createOAuth2Client,
+    refreshClientTokens,
+    getAuthorizedClient
+};
@@ -1,10 +1,17 @@
 const express = require('express');
 const axios = require('axios');
+const { requireScope } = require('./api-auth');
+const { recordAudit } = require('./audit');
 
 const router = express.Router();
 
 const N8N_WEBHOOK_URL = process.env.N8N_WEBHOOK_URL;
 const N8N_RENEWAL_WEBHOOK_URL = process.env.N8N_RENEWAL_WEBHOOK_URL;
+const N8N_MESSAGE_WEBHOOK_URL = process.env.N8N_MESSAGE_WEBHOOK_URL || N8N_WEBHOOK_URL;
+
+// Set to 'false' to keep OAuth tokens out of webhooks; n8n then fetches
+// access tokens from GET /credentials/:clientId/access-token
+const WEBHOOK_INCLUDE_TOKENS = process.env.WEBHOOK_INCLUDE_TOKENS !== 'false';
 
 // Retry configuration
 const MAX_RETRY_ATTEMPTS = 3;
@@ -20,7 +27,7 @@ function delay(ms) {
 /**
  * Send registration data to n8n webhook with retry logic
  */
-async function sendRegistrationWebhook(clientData, attempt = 1) {
+async function sendRegistrationWebhook(clientData, event = 'client_registered', attempt = 1) {
     if (!N8N_WEBHOOK_URL) {
         console.warn('N8N_WEBHOOK_URL not configured. Skipping webhook.');
         return { success: false, reason: 'Webhook URL not configured' };
@@ -29,7 +36,7 @@ async function sendRegistrationWebhook(clientData, attempt = 1) {
     try {
         // Prepare webhook payload
         const payload = {
-            event: 'client_registered',
+            event,
             timestamp: new Date().toISOString(),
             data: {
                 clientId: clientData.clientId,
@@ -38,12 +45,15 @@ async function sendRegistrationWebhook(clientData, attempt = 1) {
                 company: clientData.company,
                 gmailAddress: clientData.gmailAddress,
                 registeredAt: clientData.registeredAt,
+                reconnectedAt: clientData.reconnectedAt || null,
                 // Include tokens for n8n to store as credentials
-                tokens: {
-                    access_token: clientData.tokens.access_token,
-                    refresh_token: clientData.tokens.refresh_token,
-                    expiry_date: clientData.tokens.expiry_date
-                }
+                ...(WEBHOOK_INCLUDE_TOKENS && {
+                    tokens: {
+                        access_token: clientData.tokens.access_token,
+                        refresh_token: clientData.tokens.refresh_token,
+                        expiry_date: clientData.tokens.expiry_date
+                    }
+                })
             }
         };
 
@@ -57,6 +67,11 @@ async function sendRegistrationWebhook(clientData, attempt = 1) {
         });
 
         console.log(`Registration webhook sent successfully: ${clientData.clientId}`);
+        await recordAudit({
+            action: 'registration.delivered',
+            clientId: clientData.clientId,
+            details: { event, includesTokens: WEBHOOK_INCLUDE_TOKENS }
+        });
         return {
             success: true,
             status: response.status,
@@ -70,11 +85,17 @@ async function sendRegistrationWebhook(clientData, attempt = 1) {
             const delayTime = RETRY_DELAY_MS * Math.pow(2, attempt - 1); // Exponential backoff
             console.log(`Retrying in ${delayTime}ms...`);
             await delay(delayTime);
-            return sendRegistrationWebhook(clientData, attempt + 1);
+            return sendRegistrationWebhook(clientData, event, attempt + 1);
         }
 
         // All retries exhausted
         console.error('Registration webhook failed after all retry attempts');
+        await recordAudit({
+            action: 'registration.delivered',
+            clientId: clientData.clientId,
+            outcome: 'failure',
+            details: { event, includesTokens: WEBHOOK_INCLUDE_TOKENS, error: error.message }
+        });
         return {
             success: false,
             error: error.message,
@@ -133,11 +154,108 @@ async function sendRenewalWebhook(renewalData, attempt = 1) {
     }
 }
 
+/**
+ * Send the results of a scheduled watch renewal run to n8n
+ */
+async function sendRenewalBatchWebhook(results) {
+    return sendEventWebhook(N8N_RENEWAL_WEBHOOK_URL, 'watch_renewal_batch', {
+        totalProcessed: results.length,
+        successful: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success).length,
+        results
+    });
+}
+
+/**
+ * Send an event to an n8n webhook with retry logic
+ */
+async function sendEventWebhook(webhookUrl, event, data, attempt = 1) {
+    if (!webhookUrl) {
+        console.warn(`Webhook URL not configured. Skipping ${event} webhook.`);
+        return { success: false, reason: 'Webhook URL not configured' };
+    }
+
+    try {
+        const payload = {
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        console.log(`Sending ${event} webhook to n8n (attempt ${attempt}/${MAX_RETRY_ATTEMPTS})...`);
+
+        const response = await axios.post(webhookUrl, payload, {
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            timeout: 10000
+        });
+
+        return {
+            success: true,
+            status: response.status,
+            data: response.data
+        };
+    } catch (error) {
+        console.error(`${event} webhook failed (attempt ${attempt}):`, error.message);
+
+        if (attempt < MAX_RETRY_ATTEMPTS) {
+            const delayTime = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+            console.log(`Retrying in ${delayTime}ms...`);
+            await delay(delayTime);
+            return sendEventWebhook(webhookUrl, event, data, attempt + 1);
+        }
+
+        console.error(`${event} webhook failed after all retry attempts`);
+        return {
+            success: false,
+            error: error.message,
+            attempts: attempt
+        };
+    }
+}
+
+/**
+ * Send a received Gmail message to n8n
+ * Each delivery attempt that reached the webhook is recorded in the audit log
+ */
+async function sendMessageWebhook(clientData, message) {
+    const result = await sendEventWebhook(N8N_MESSAGE_WEBHOOK_URL, 'message_received', {
+        clientId: clientData.clientId,
+        gmailAddress: clientData.gmailAddress,
+        message
+    });
+
+    if (result.success || result.error) {
+        await recordAudit({
+            action: 'message.delivered',
+            clientId: clientData.clientId,
+            outcome: result.success ? 'success' : 'failure',
+            details: { messageId: message.id, ...(result.error && { error: result.error }) }
+        });
+    }
+    return result;
+}
+
+/**
+ * Send a reply approval event (pending or decided) to n8n
+ */
+async function sendApprovalWebhook(event, data) {
+    return sendEventWebhook(N8N_MESSAGE_WEBHOOK_URL, event, data);
+}
+
+/**
+ * Send a client lifecycle event (e.g. auth lost) to the registration webhook
+ */
+async function sendClientEventWebhook(event, data) {
+    return sendEventWebhook(N8N_WEBHOOK_URL, event, data);
+}
+
 /**
  * Manual webhook test endpoint
  * Route: POST /webhook/test
  */
-router.post('/test', async (req, res) => {
+router.post('/test', requireScope('webhooks:write'), async (req, res) => {
     try {
         const { webhookType } = req.body;
 
@@ -188,7 +306,7 @@ router.post('/test', async (req, res) => {
  * Receive webhook from n8n (if needed for bidirectional communication)
  * Route: POST /webhook/receive
  */
-router.post('/receive', express.json(), async (req, res) => {
+router.post('/receive', requireScope('webhooks:write'), express.json(), async (req, res) => {
     try {
         console.log('Received webhook from n8n:', req.body);
 
@@ -227,7 +345,7 @@ router.post('/receive', express.json(), async (req, res) => {
  * Webhook status endpoint
  * Route: GET /webhook/status
  */
-router.get('/status', (req, res) => {
+router.get('/status', requireScope('webhooks:read'), (req, res) => {
     res.status(200).json({
         registrationWebhook: {
             configured: !!N8N_WEBHOOK_URL,
@@ -237,6 +355,11 @@ router.get('/status', (req, res) => {
             configured: !!N8N_RENEWAL_WEBHOOK_URL,
             url: N8N_RENEWAL_WEBHOOK_URL ? `${N8N_RENEWAL_WEBHOOK_URL.substring(0, 30)}...` : null
         },
+        messageWebhook: {
+            configured: !!N8N_MESSAGE_WEBHOOK_URL,
+            url: N8N_MESSAGE_WEBHOOK_URL ? `${N8N_MESSAGE_WEBHOOK_URL.substring(0, 30)}...` : null
+        },
+        includeTokens: WEBHOOK_INCLUDE_TOKENS,
         retryConfig: {
             maxAttempts: MAX_RETRY_ATTEMPTS,
             initialDelayMs: RETRY_DELAY_MS
@@ -247,3 +370,8 @@ router.get('/status', (req, res) => {
 module.exports = router;
 module.exports.sendRegistrationWebhook = sendRegistrationWebhook;
 module.exports.sendRenewalWebhook = sendRenewalWebhook;
+module.exports.sendRenewalBatchWebhook = sendRenewalBatchWebhook;
+module.exports.sendEventWebhook = sendEventWebhook;
+module.exports.sendMessageWebhook = sendMessageWebhook;
+module.exports.sendApprovalWebhook = sendApprovalWebhook;
+module.exports.sendClientEventWebhook = sendClientEventWebhook;
@@ -0,0 +1,168 @@
+/**
+ * Pull-subscription worker for Gmail notifications
+ *
+ * Consumes PUBSUB_SUBSCRIPTION instead of receiving pushes on /pubsub/push,
+ * so notifications can be processed without a public endpoint. Messages go
+ * through the same pipeline as the push route.
+ *
+ * Run with: npm run worker
+ */
+
+require('dotenv').config();
+const { PubSub, Duration } = require('@google-cloud/pubsub');
+const { parseNotification, processGmailNotification } = require('./notification-processor');
+const { PUBSUB_SHARED_TOPIC } = require('./gmail-watch');
+const { runWithRequestContext } = require('./audit');
+
+const PUBSUB_SUBSCRIPTION = process.env.PUBSUB_SUBSCRIPTION;
+const WORKER_MAX_MESSAGES = parseInt(process.env.WORKER_MAX_MESSAGES, 10) || 10;
+const WORKER_ACK_DEADLINE_SECONDS = parseInt(process.env.WORKER_ACK_DEADLINE_SECONDS, 10) || 60;
+const WORKER_MAX_EXTENSION_MINUTES = parseInt(process.env.WORKER_MAX_EXTENSION_MINUTES, 10) || 10;
+const WORKER_DRAIN_TIMEOUT_SECONDS = parseInt(process.env.WORKER_DRAIN_TIMEOUT_SECONDS, 10) || 30;
+
+// Picks up PUBSUB_EMULATOR_HOST automatically
+const pubsub = new PubSub({
+    projectId: process.env.FIRESTORE_PROJECT_ID,
+});
+
+// Messages currently being processed
+const inFlight = new Set();
+let draining = false;
+
+/**
+ * Create the shared topic and subscription when running against the emulator
+ * In production both are created ahead of time, see the README
+ */
+async function ensureEmulatorSubscription() {
+    const topic = pubsub.topic(PUBSUB_SHARED_TOPIC);
+    const [topicExists] = await topic.exists();
+    if (!topicExists) {
+        await pubsub.createTopic(PUBSUB_SHARED_TOPIC);
+        console.log(`Created emulator topic: ${PUBSUB_SHARED_TOPIC}`);
+    }
+
+    const [subscriptionExists] = await pubsub.subscription(PUBSUB_SUBSCRIPTION).exists();
+    if (!subscriptionExists) {
+        await topic.createSubscription(PUBSUB_SUBSCRIPTION);
+        console.log(`Created emulator subscription: ${PUBSUB_SUBSCRIPTION}`);
+    }
+}
+
+/**
+ * Process one pulled message
+ * Malformed notifications are acked since redelivery can't fix them;
+ * processing failures are nacked so Pub/Sub redelivers them
+ */
+async function handleMessage(message) {
+    if (draining) {
+        message.nack();
+        return;
+    }
+
+    let notification;
+    try {
+        notification = parseNotification(message.data);
+    } catch (error) {
+        console.error(`Dropping malformed Pub/Sub message ${message.id}:`, error.message);
+        message.ack();
+        return;
+    }
+
+    console.log('Received Gmail notification:', notification);
+
+    try {
+        await processGmailNotification(notification);
+        message.ack();
+    } catch (error) {
+        console.error('Error processing Pub/Sub message:', error);
+        message.nack();
+    }
+}
+
+/**
+ * Stop taking new messages and wait for in-flight ones to finish
+ */
+async function drain(subscription) {
+    if (draining) {
+        return;
+    }
+    draining = true;
+
+    console.log(`Draining ${inFlight.size} in-flight message(s)...`);
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, WORKER_DRAIN_TIMEOUT_SECONDS * 1000);
+    });
+    await Promise.race([Promise.allSettled([...inFlight]), timeout]);
+    clearTimeout(timer);
+
+    if (inFlight.size > 0) {
+        console.warn(`Drain timed out with ${inFlight.size} message(s) unfinished; they will be redelivered`);
+    }
+
+    await subscription.close();
+    await pubsub.close();
+    console.log('Worker stopped');
+}
+
+/**
+ * Start consuming the subscription
+ */
+async function startWorker() {
+    if (!PUBSUB_SUBSCRIPTION) {
+        throw new Error('PUBSUB_SUBSCRIPTION must be configured');
+    }
+
+    if (process.env.PUBSUB_EMULATOR_HOST) {
+        await ensureEmulatorSubscription();
+    }
+
+    const subscription = pubsub.subscription(PUBSUB_SUBSCRIPTION, {
+        flowControl: {
+            maxMessages: WORKER_MAX_MESSAGES,
+            allowExcessMessages: false
+        },
+        minAckDeadline: Duration.from({ seconds: WORKER_ACK_DEADLINE_SECONDS }),
+        maxAckDeadline: Duration.from({ seconds: WORKER_ACK_DEADLINE_SECONDS }),
+        // Leases are extended automatically while a message is processing, up to this limit
+        maxExtensionMinutes: WORKER_MAX_EXTENSION_MINUTES
+    });
+
+    subscription.on('message', message => {
+        // The Pub/Sub message id identifies the work in audit events
+        const task = runWithRequestContext({ requestId: message.id }, () => handleMessage(message))
+            .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+    });
+
+    subscription.on('error', error => {
+        console.error('Pub/Sub subscription error:', error);
+    });
+
+    const shutdown = signal => {
+        console.log(`${signal} received`);
+        drain(subscription).catch(error => {
+            console.error('Error draining worker:', error);
+            process.exitCode = 1;
+        });
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    console.log(`Worker listening on ${PUBSUB_SUBSCRIPTION} (max ${WORKER_MAX_MESSAGES} messages in flight)`);
+
+    return subscription;
+}
+
+if (require.main === module) {
+    startWorker().catch(error => {
+        console.error('Failed to start worker:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startWorker,
+    handleMessage
+};
@@ -33,6 +33,32 @@ if [ ! -f .env ]; then
     exit 1
 fi
 
+# Convert .env to the YAML that --env-vars-file reads, so the app and the
+# renewal function are deployed with the same settings
+write_env_vars_file() {
+    local output=$1
+    : > "$output"
+    while IFS= read -r line || [ -n "$line" ]; do
+        line="${line%$'\r'}"
+        case "$line" in
+            ''|'#'*) continue ;;
+        esac
+        local key="${line%%=*}"
+        local value="${line#*=}"
+        # PORT is set by the platform and can't be overridden
+        if [ "$key" = "PORT" ]; then
+            continue
+        fi
+        value="${value#\"}"
+        value="${value%\"}"
+        printf "%s: '%s'\n" "$key" "${value//\'/\'\'}" >> "$output"
+    done < .env
+}
+
+ENV_VARS_FILE=$(mktemp "${TMPDIR:-/tmp}/env-vars.XXXXXX")
+trap 'rm -f "$ENV_VARS_FILE"' EXIT
+write_env_vars_file "$ENV_VARS_FILE"
+
 echo -e "${YELLOW}Using Project ID: ${PROJECT_ID}${NC}"
 echo -e "${YELLOW}Using Region: ${REGION}${NC}\n"
 
@@ -69,7 +95,7 @@ gcloud run deploy $SERVICE_NAME \
     --source . \
     --region $REGION \
     --allow-unauthenticated \
-    --set-env-vars-from-file .env \
+    --env-vars-file "$ENV_VARS_FILE" \
     --platform managed \
     --memory 512Mi \
     --cpu 1 \
@@ -92,16 +118,18 @@ fi
 
 # Deploy Cloud Function
 echo -e "\n${GREEN}[6/7] Deploying Cloud Function for watch renewal...${NC}"
-cd functions
+# Deployed from the repository root, since the function uses backend/, and
+# with the app's settings, since it refreshes tokens, flags clients for
+# reauthorization and sends the same webhooks
 gcloud functions deploy $FUNCTION_NAME \
+    --source . \
     --runtime nodejs18 \
     --trigger-topic watch-renewal-trigger \
     --region $REGION \
     --entry-point renewGmailWatches \
     --memory 256MB \
     --timeout 540s \
-    --set-env-vars FIRESTORE_PROJECT_ID=$PROJECT_ID,GOOGLE_CLIENT_ID=$GOOGLE_CLIENT_ID,GOOGLE_CLIENT_SECRET=$GOOGLE_CLIENT_SECRET,ENCRYPTION_KEY=$ENCRYPTION_KEY,PUBSUB_TOPIC_PREFIX=$PUBSUB_TOPIC_PREFIX,N8N_RENEWAL_WEBHOOK_URL=$N8N_RENEWAL_WEBHOOK_URL
-cd ..
+    --env-vars-file "$ENV_VARS_FILE"
 echo -e "${GREEN}Cloud Function deployed${NC}"
 
 # Set up Cloud Scheduler
@@ -0,0 +1,74 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+jest.mock('../../backend/gmail-watch', () => ({
+    renewGmailWatch: jest.fn()
+}));
+jest.mock('../../backend/webhook', () => ({
+    sendRenewalBatchWebhook: jest.fn(async () => ({ success: true }))
+}));
+
+const { renewGmailWatches } = require('../watch-renewal');
+const { saveClient, updateClientStatus, listAuditEvents } = require('../../backend/database');
+const { renewGmailWatch } = require('../../backend/gmail-watch');
+const { sendRenewalBatchWebhook } = require('../../backend/webhook');
+const { recordAudit } = require('../../backend/audit');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Save a client whose watch expires after the given number of hours
+ */
+async function createClient(clientId, expiresInHours) {
+    await saveClient({
+        clientId,
+        gmailAddress: `${clientId}@example.com`,
+        registeredAt: new Date(),
+        tokens: { access_token: 'access', refresh_token: 'refresh', expiry_date: Date.now() + HOUR_MS },
+        watchData: { historyId: '1', expiration: new Date(Date.now() + expiresInHours * HOUR_MS), topicName: 'topic' }
+    });
+}
+
+describe('renewGmailWatches', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await createClient('expiring', 12);
+        await createClient('failing', 24);
+        await createClient('later', 96);
+        await createClient('paused', 6);
+        await updateClientStatus('paused', 'paused', { reason: 'test' });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('renews expiring watches through the backend and reports them to n8n', async () => {
+        renewGmailWatch.mockImplementation(async (clientId) => {
+            await recordAudit({ action: 'watch.renewed', clientId });
+            if (clientId === 'failing') {
+                return { success: false, clientId, error: 'invalid_grant', needsReauth: true, renewedAt: new Date() };
+            }
+            return { success: true, clientId, watchData: { expiration: new Date() }, renewedAt: new Date() };
+        });
+
+        const result = await renewGmailWatches(null, { eventId: 'event-1' });
+
+        expect(renewGmailWatch.mock.calls).toEqual([
+            ['expiring', { actor: 'watch-renewal' }],
+            ['failing', { actor: 'watch-renewal' }]
+        ]);
+
+        // Audit events from the renewals belong to the run
+        const { events } = await listAuditEvents({ action: 'watch.renewed' });
+        expect(events.map(({ actor, requestId }) => ({ actor, requestId }))).toEqual([
+            { actor: 'watch-renewal', requestId: 'event-1' },
+            { actor: 'watch-renewal', requestId: 'event-1' }
+        ]);
+        expect(result).toMatchObject({ success: true, totalProcessed: 2, successful: 1, failed: 1 });
+        expect(sendRenewalBatchWebhook).toHaveBeenCalledWith([
+            expect.objectContaining({ success: true, clientId: 'expiring', gmailAddress: 'expiring@example.com' }),
+            expect.objectContaining({ success: false, clientId: 'failing', error: 'invalid_grant', needsReauth: true })
+        ]);
+    });
+});
@@ -4,182 +4,112 @@
  * This function is triggered by Cloud Scheduler every 24 hours
  * to renew Gmail watches that are expiring within the next 48 hours.
  *
- * Deploy with:
- * gcloud functions deploy renewGmailWatches \
- *   --runtime nodejs18 \
- *   --trigger-topic watch-renewal-trigger \
- *   --region us-central1 \
- *   --set-env-vars FIRESTORE_PROJECT_ID=your-project-id,...
+ * Each watch is renewed by backend/gmail-watch.js, so token refresh,
+ * encryption, status changes, audit events and webhooks work exactly as
+ * they do in the app. Deploy it from the repository root so the backend
+ * is included (see README step 6).
  */
 
-const { Firestore } = require('@google-cloud/firestore');
-const { google } = require('googleapis');
-const { OAuth2Client } = require('google-auth-library');
-const axios = require('axios');
-const CryptoJS = require('crypto-js');
-const { PubSub } = require('@google-cloud/pubsub');
+const crypto = require('crypto');
+const { listClients } = require('../backend/database');
+const { renewGmailWatch } = require('../backend/gmail-watch');
+const { runWithRequestContext } = require('../backend/audit');
+const { sendRenewalBatchWebhook } = require('../backend/webhook');
 
-// Initialize services
-const firestore = new Firestore({
-    projectId: process.env.FIRESTORE_PROJECT_ID,
-});
+const RENEWAL_WINDOW_HOURS = 48;
+const RENEWAL_PAGE_SIZE = 200;
 
-const pubsub = new PubSub({
-    projectId: process.env.FIRESTORE_PROJECT_ID,
-});
-
-const oauth2Client = new OAuth2Client(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET
-);
-
-const CLIENTS_COLLECTION = 'clients';
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
-const PUBSUB_TOPIC_PREFIX = process.env.PUBSUB_TOPIC_PREFIX || 'gmail-watch-';
-const N8N_RENEWAL_WEBHOOK_URL = process.env.N8N_RENEWAL_WEBHOOK_URL;
+// Recorded as the actor of the run's audit events and status changes
+const RENEWAL_ACTOR = 'watch-renewal';
 
 /**
- * Decrypt sensitive data
+ * List the clients whose watches expire within the renewal window, soonest first
+ * Listings don't decrypt tokens, so reading them can't fail on a bad record
  */
-function decrypt(ciphertext) {
-    if (!ENCRYPTION_KEY) {
-        return ciphertext;
-    }
-    const bytes = CryptoJS.AES.decrypt(ciphertext, ENCRYPTION_KEY);
-    return bytes.toString(CryptoJS.enc.Utf8);
-}
-
-/**
- * Decrypt client tokens
- */
-function decryptTokens(encryptedTokens) {
-    if (!encryptedTokens) return null;
-    return {
-        access_token: decrypt(encryptedTokens.access_token),
-        refresh_token: encryptedTokens.refresh_token ? decrypt(encryptedTokens.refresh_token) : null,
-        expiry_date: encryptedTokens.expiry_date
-    };
-}
-
-/**
- * Create Pub/Sub topic if it doesn't exist
- */
-async function createPubSubTopic(topicName) {
-    try {
-        const topic = pubsub.topic(topicName);
-        const [exists] = await topic.exists();
-
-        if (!exists) {
-            await pubsub.createTopic(topicName);
-            console.log(`Created Pub/Sub topic: ${topicName}`);
-        }
-
-        return topicName;
-    } catch (error) {
-        console.error('Error creating Pub/Sub topic:', error);
-        throw error;
-    }
+async function getExpiringClients() {
+    const expiresBefore = new Date(Date.now() + RENEWAL_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const clients = [];
+    let cursor = null;
+    do {
+        const page = await listClients(
+            { watchExpiresBefore: expiresBefore },
+            { sort: 'watchExpiration', order: 'asc', limit: RENEWAL_PAGE_SIZE, cursor }
+        );
+        clients.push(...page.clients);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return clients;
 }
 
 /**
- * Renew Gmail watch for a client
+ * Renew a client's watch, returning its entry for the renewal webhook
  */
 async function renewWatch(client) {
-    try {
-        console.log(`Renewing watch for client: ${client.clientId}`);
-
-        // Decrypt tokens
-        const tokens = decryptTokens(client.tokens);
-
-        // Set up OAuth client
-        oauth2Client.setCredentials(tokens);
-
-        // Initialize Gmail API
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-        // Get topic name
-        const topicName = client.watchData?.topicName || `${PUBSUB_TOPIC_PREFIX}${client.clientId}`;
-        const fullTopicName = `projects/${process.env.FIRESTORE_PROJECT_ID}/topics/${topicName}`;
-
-        // Ensure topic exists
-        await createPubSubTopic(topicName);
-
-        // Renew watch
-        const watchResponse = await gmail.users.watch({
-            userId: 'me',
-            requestBody: {
-                topicName: fullTopicName,
-                labelIds: ['INBOX'],
-                labelFilterAction: 'include'
-            }
-        });
-
-        // Update database
-        const clientRef = firestore.collection(CLIENTS_COLLECTION).doc(client.clientId);
-        await clientRef.update({
-            watchData: {
-                historyId: watchResponse.data.historyId,
-                expiration: new Date(parseInt(watchResponse.data.expiration)),
-                topicName: topicName
-            },
-            lastRenewed: new Date(),
-            updatedAt: new Date()
-        });
-
-        console.log(`Watch renewed successfully for ${client.gmailAddress}`);
-
-        return {
-            success: true,
-            clientId: client.clientId,
-            gmailAddress: client.gmailAddress,
-            newExpiration: new Date(parseInt(watchResponse.data.expiration)),
-            renewedAt: new Date()
-        };
-    } catch (error) {
-        console.error(`Failed to renew watch for ${client.clientId}:`, error.message);
+    const result = await renewGmailWatch(client.clientId, { actor: RENEWAL_ACTOR });
 
+    if (!result.success) {
         return {
             success: false,
             clientId: client.clientId,
             gmailAddress: client.gmailAddress,
-            error: error.message,
-            renewedAt: new Date()
+            error: result.error,
+            needsReauth: result.needsReauth,
+            renewedAt: result.renewedAt
         };
     }
+
+    return {
+        success: true,
+        clientId: client.clientId,
+        gmailAddress: client.gmailAddress,
+        newExpiration: result.watchData.expiration,
+        renewedAt: result.renewedAt
+    };
 }
 
 /**
- * Send renewal results to n8n
+ * Renew every expiring watch
  */
-async function sendRenewalWebhook(results) {
-    if (!N8N_RENEWAL_WEBHOOK_URL) {
-        console.log('N8N_RENEWAL_WEBHOOK_URL not configured. Skipping webhook.');
-        return;
+async function renewExpiringWatches() {
+    // Get clients with watches expiring in the renewal window
+    const clients = await getExpiringClients();
+
+    if (clients.length === 0) {
+        console.log('No watches need renewal at this time');
+        return { success: true, message: 'No watches to renew' };
     }
 
-    try {
-        const payload = {
-            event: 'watch_renewal_batch',
-            timestamp: new Date().toISOString(),
-            data: {
-                totalProcessed: results.length,
-                successful: results.filter(r => r.success).length,
-                failed: results.filter(r => !r.success).length,
-                results: results
-            }
-        };
+    console.log(`Found ${clients.length} watches that need renewal`);
 
-        await axios.post(N8N_RENEWAL_WEBHOOK_URL, payload, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 10000
-        });
+    // Renewal can't succeed until the user reconnects, and paused clients stay unwatched
+    const renewable = clients.filter(client => {
+        if (client.status === 'needs_reauth' || client.status === 'paused') {
+            console.log(`Skipping ${client.clientId}: ${client.status}`);
+            return false;
+        }
+        return true;
+    });
 
-        console.log('Renewal webhook sent to n8n successfully');
-    } catch (error) {
-        console.error('Failed to send renewal webhook:', error.message);
-    }
+    const results = await Promise.all(renewable.map(renewWatch));
+
+    // Send results to n8n
+    await sendRenewalBatchWebhook(results);
+
+    // Log summary
+    const successful = results.filter(r => r.success).length;
+    const failed = results.filter(r => !r.success).length;
+
+    console.log(`Renewal complete: ${successful} successful, ${failed} failed`);
+
+    return {
+        success: true,
+        totalProcessed: results.length,
+        successful,
+        failed,
+        results
+    };
 }
 
 /**
@@ -188,47 +118,11 @@ async function sendRenewalWebhook(results) {
 exports.renewGmailWatches = async (message, context) => {
     console.log('Starting Gmail watch renewal process...');
 
-    try {
-        // Get clients with watches expiring in next 48 hours
-        const expirationThreshold = new Date();
-        expirationThreshold.setHours(expirationThreshold.getHours() + 48);
-
-        const snapshot = await firestore.collection(CLIENTS_COLLECTION)
-            .where('watchData.expiration', '<=', expirationThreshold)
-            .get();
-
-        if (snapshot.empty) {
-            console.log('No watches need renewal at this time');
-            return { success: true, message: 'No watches to renew' };
-        }
-
-        console.log(`Found ${snapshot.size} watches that need renewal`);
-
-        // Process renewals
-        const renewalPromises = [];
-        snapshot.forEach(doc => {
-            const client = doc.data();
-            renewalPromises.push(renewWatch(client));
-        });
-
-        const results = await Promise.all(renewalPromises);
-
-        // Send results to n8n
-        await sendRenewalWebhook(results);
-
-        // Log summary
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
+    // The Pub/Sub event id identifies this run in the audit log
+    const requestId = context?.eventId || crypto.randomUUID();
 
-        console.log(`Renewal complete: ${successful} successful, ${failed} failed`);
-
-        return {
-            success: true,
-            totalProcessed: results.length,
-            successful,
-            failed,
-            results
-        };
+    try {
+        return await runWithRequestContext({ requestId, actor: RENEWAL_ACTOR }, renewExpiringWatches);
     } catch (error) {
         console.error('Error in watch renewal process:', error);
         throw error;